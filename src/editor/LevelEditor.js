@@ -0,0 +1,668 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+const FLY_SPEED = 6;         // m/s, ×4 with Shift
+const LOOK_SPEED = 0.003;    // radians per pixel while the right button is held
+const SNAP = 0.05;           // metres
+const ROTATION_SNAP = 15;    // degrees
+
+/**
+ * In-browser level editor for dev builds (F9 in main.js).
+ *
+ * Works directly on the level JSON the loader built from: every change is
+ * written into the entry's data and that one entry is rebuilt through
+ * level.rebuild(). Colliders, the nav grid and interactable ids only catch up
+ * when the game rebuilds the world after the editor closes.
+ *
+ * Controls: hold the right mouse button to look, WASD to fly, Q/E down/up,
+ * Shift to go faster. Left click picks, 1/2/3 switch the gizmo between move,
+ * rotate and resize, Delete removes the selection, Esc clears it.
+ *
+ * Events dispatched:
+ *   'exit' {}   Exit pressed in the toolbar
+ */
+export class LevelEditor extends THREE.EventDispatcher {
+    // `levels` are loadLevel() results
+    constructor({ scene, camera, domElement, levels }) {
+        super();
+        this.scene = scene;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.levels = levels;
+        this.selection = null;    // { level, section, entry }
+        this.dragStart = null;
+        this.keys = new Set();
+        this.looking = false;
+        this.look = new THREE.Euler(0, 0, 0, 'YXZ').setFromQuaternion(camera.quaternion);
+        this.raycaster = new THREE.Raycaster();
+
+        // Flat light and no fog so dark corners can be worked on
+        this.aids = new THREE.Group();
+        this.aids.add(new THREE.HemisphereLight(0xffffff, 0x404040, 1.5));
+        scene.add(this.aids);
+        this.savedFog = scene.fog;
+        scene.fog = null;
+
+        this.helpers = new Map();     // entry → helper meshes
+        this.pickable = new Map();    // object or helper → { level, entry }
+        for (const level of levels) {
+            for (const entry of level.entries.keys()) this.refreshHelpers(level, entry);
+        }
+
+        // The gizmo drives an empty pivot; drags are turned into entry edits
+        this.pivot = new THREE.Object3D();
+        scene.add(this.pivot);
+        this.gizmo = new TransformControls(camera, domElement);
+        this.gizmo.setTranslationSnap(SNAP);
+        this.gizmo.setRotationSnap(THREE.MathUtils.degToRad(ROTATION_SNAP));
+        this.gizmo.addEventListener('mouseDown', () => this.beginDrag());
+        this.gizmo.addEventListener('objectChange', () => this.applyDrag());
+        this.gizmo.addEventListener('mouseUp', () => this.endDrag());
+        scene.add(this.gizmo.getHelper());
+
+        this.panel = createPanel(levels);
+        document.body.appendChild(this.panel.root);
+        this.bindPanel();
+
+        this._onPointerDown = e => this.onPointerDown(e);
+        this._onPointerMove = e => this.onPointerMove(e);
+        this._onPointerUp = e => { if (e.button === 2) this.looking = false; };
+        this._onContextMenu = e => e.preventDefault();
+        this._onKeyDown = e => this.onKeyDown(e);
+        this._onKeyUp = e => this.keys.delete(e.code);
+        domElement.addEventListener('pointerdown', this._onPointerDown);
+        domElement.addEventListener('contextmenu', this._onContextMenu);
+        document.addEventListener('pointermove', this._onPointerMove);
+        document.addEventListener('pointerup', this._onPointerUp);
+        document.addEventListener('keydown', this._onKeyDown);
+        document.addEventListener('keyup', this._onKeyUp);
+    }
+
+    dispose() {
+        this.gizmo.detach();
+        this.gizmo.dispose();
+        this.gizmo.getHelper().removeFromParent();
+        this.pivot.removeFromParent();
+        for (const entry of [...this.helpers.keys()]) this.clearHelpers(entry);
+        this.aids.removeFromParent();
+        this.scene.fog = this.savedFog;
+        this.panel.root.remove();
+
+        this.domElement.removeEventListener('pointerdown', this._onPointerDown);
+        this.domElement.removeEventListener('contextmenu', this._onContextMenu);
+        document.removeEventListener('pointermove', this._onPointerMove);
+        document.removeEventListener('pointerup', this._onPointerUp);
+        document.removeEventListener('keydown', this._onKeyDown);
+        document.removeEventListener('keyup', this._onKeyUp);
+    }
+
+    // ── Fly camera ──
+    update(delta) {
+        const axis = (plus, minus) => Number(this.keys.has(plus)) - Number(this.keys.has(minus));
+        const speed = FLY_SPEED * (this.keys.has('ShiftLeft') ? 4 : 1) * delta;
+        this.camera.translateX(axis('KeyD', 'KeyA') * speed);
+        this.camera.translateZ(axis('KeyS', 'KeyW') * speed);
+        this.camera.position.y += axis('KeyE', 'KeyQ') * speed;
+    }
+
+    onPointerMove(e) {
+        if (!this.looking) return;
+        this.look.y -= e.movementX * LOOK_SPEED;
+        this.look.x = THREE.MathUtils.clamp(this.look.x - e.movementY * LOOK_SPEED, -Math.PI / 2, Math.PI / 2);
+        this.camera.quaternion.setFromEuler(this.look);
+    }
+
+    onKeyDown(e) {
+        if (isTyping(e.target)) return;
+        this.keys.add(e.code);
+        switch (e.code) {
+            case 'Digit1': this.setMode('translate'); break;
+            case 'Digit2': this.setMode('rotate'); break;
+            case 'Digit3': this.setMode('scale'); break;
+            case 'Delete': this.deleteSelection(); break;
+            case 'Escape': this.select(null); break;
+        }
+    }
+
+    // ── Picking ──
+    onPointerDown(e) {
+        if (e.button === 2) {
+            this.looking = true;
+            return;
+        }
+        // The gizmo gets the click when one of its handles is under the pointer
+        if (e.button !== 0 || this.gizmo.dragging || this.gizmo.axis !== null) return;
+
+        const rect = this.domElement.getBoundingClientRect();
+        _pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(_pointer, this.camera);
+        const hits = this.raycaster.intersectObjects([...this.pickable.keys()], true);
+        for (const hit of hits) {
+            const target = this.targetOf(hit.object);
+            if (target) {
+                this.select(target);
+                return;
+            }
+        }
+        this.select(null);
+    }
+
+    targetOf(object) {
+        for (let o = object; o; o = o.parent) {
+            const target = this.pickable.get(o);
+            if (target) return target;
+        }
+        return null;
+    }
+
+    select(target) {
+        if (!target) {
+            this.selection = null;
+            this.gizmo.detach();
+            this.showInspector();
+            return;
+        }
+        const { level, entry } = target;
+        const record = level.entries.get(entry);
+        if (!record) return this.select(null);
+        this.selection = { level, section: record.section, entry };
+        this.panel.level.value = level.data.id;
+
+        this.pivot.position.copy(anchor(record.section, entry)).add(originOf(level));
+        this.pivot.rotation.set(0, 0, 0);
+        if (canRotate(record.section, entry) && entry.rotation && entry.rotation.every(a => typeof a === 'number')) {
+            this.pivot.rotation.fromArray(entry.rotation.map(a => THREE.MathUtils.degToRad(a)));
+        }
+        this.pivot.scale.set(1, 1, 1);
+        this.gizmo.attach(this.pivot);
+        this.setMode(this.gizmo.mode);
+        this.showInspector();
+    }
+
+    setMode(mode) {
+        const sel = this.selection;
+        if (sel && mode === 'rotate' && !canRotate(sel.section, sel.entry)) mode = 'translate';
+        if (sel && mode === 'scale' && !canResize(sel.section, sel.entry)) mode = 'translate';
+        this.gizmo.setMode(mode);
+        for (const button of this.panel.modes) button.classList.toggle('active', button.dataset.mode === mode);
+    }
+
+    // ── Gizmo drags ──
+    // Each change re-applies the whole drag to a copy of the entry taken when
+    // it started, so snapping never accumulates rounding
+    beginDrag() {
+        if (!this.selection) return;
+        this.dragStart = {
+            entry: structuredClone(this.selection.entry),
+            position: this.pivot.position.clone(),
+        };
+    }
+
+    applyDrag() {
+        if (!this.dragStart) return;
+        const { section, entry } = this.selection;
+        replace(entry, structuredClone(this.dragStart.entry));
+        switch (this.gizmo.mode) {
+            case 'translate':
+                translate(section, entry, this.pivot.position.clone().sub(this.dragStart.position));
+                break;
+            case 'rotate':
+                entry.rotation = this.pivot.rotation.toArray().slice(0, 3).map(a => round(THREE.MathUtils.radToDeg(a)));
+                break;
+            case 'scale':
+                resize(section, entry, this.pivot.scale);
+                break;
+        }
+        this.rebuildSelection();
+    }
+
+    endDrag() {
+        if (!this.dragStart) return;
+        this.dragStart = null;
+        this.select(this.selection);
+    }
+
+    // ── Entries ──
+    rebuildSelection() {
+        const { level, section, entry } = this.selection;
+        this.rebuild(level, section, entry);
+        this.showJSON();
+    }
+
+    rebuild(level, section, entry) {
+        try {
+            level.rebuild(section, entry);
+            this.setStatus('');
+        } catch (err) {
+            this.setStatus(err.message);
+        }
+        this.refreshHelpers(level, entry);
+    }
+
+    add(kind) {
+        const level = this.targetLevel();
+        const data = level.data;
+        this.camera.getWorldDirection(_forward);
+        const at = this.camera.position.clone().addScaledVector(_forward, 3).sub(originOf(level));
+        const { section, entry, materials = {} } = TEMPLATES[kind](at.toArray().map(snap), data, level);
+
+        data.materials = data.materials || {};
+        for (const [name, spec] of Object.entries(materials)) {
+            if (!data.materials[name]) data.materials[name] = spec;
+        }
+        data[section] = data[section] || [];
+        data[section].push(entry);
+        this.rebuild(level, section, entry);
+        this.select({ level, entry });
+    }
+
+    deleteSelection() {
+        if (!this.selection) return;
+        const { level, section, entry } = this.selection;
+        level.remove(entry);
+        const list = level.data[section];
+        list.splice(list.indexOf(entry), 1);
+        this.clearHelpers(entry);
+        this.select(null);
+    }
+
+    targetLevel() {
+        return this.levels.find(level => level.data.id === this.panel.level.value) || this.levels[0];
+    }
+
+    // ── Helpers ──
+    // Lights, colliders and invisible volumes get wireframes so they can be
+    // seen and picked
+    refreshHelpers(level, entry) {
+        this.clearHelpers(entry);
+        const record = level.entries.get(entry);
+        if (!record) return;
+        const target = { level, entry };
+        const helpers = [];
+
+        for (const obj of record.objects) {
+            this.pickable.set(obj, target);
+            if (obj.isPointLight) {
+                const marker = new THREE.Mesh(_lightGeometry, new THREE.MeshBasicMaterial({ color: obj.color, wireframe: true }));
+                marker.position.copy(obj.position);
+                helpers.push(marker);
+            } else if (obj.isMesh && obj.material.visible === false) {
+                const outline = new THREE.Mesh(obj.geometry, HELPER_MATERIALS[record.section] || HELPER_MATERIALS.triggers);
+                outline.position.copy(obj.position);
+                outline.quaternion.copy(obj.quaternion);
+                helpers.push(outline);
+            }
+        }
+        if (record.section === 'colliders') {
+            const box = new THREE.Mesh(new THREE.BoxGeometry(...entry.size), HELPER_MATERIALS.colliders);
+            box.position.fromArray(entry.at).add(originOf(level));
+            helpers.push(box);
+        }
+
+        for (const helper of helpers) {
+            this.aids.add(helper);
+            this.pickable.set(helper, target);
+        }
+        this.helpers.set(entry, { objects: record.objects, helpers });
+    }
+
+    clearHelpers(entry) {
+        const old = this.helpers.get(entry);
+        if (!old) return;
+        this.helpers.delete(entry);
+        for (const obj of old.objects) this.pickable.delete(obj);
+        for (const helper of old.helpers) {
+            this.pickable.delete(helper);
+            helper.removeFromParent();
+            if (helper.geometry === _lightGeometry) helper.material.dispose();
+            else if (!old.objects.some(o => o.geometry === helper.geometry)) helper.geometry.dispose();
+        }
+    }
+
+    // ── Panel ──
+    bindPanel() {
+        const p = this.panel;
+        p.root.querySelectorAll('[data-add]').forEach(button => {
+            button.addEventListener('click', () => this.add(button.dataset.add));
+        });
+        p.modes.forEach(button => button.addEventListener('click', () => this.setMode(button.dataset.mode)));
+        p.remove.addEventListener('click', () => this.deleteSelection());
+        p.save.addEventListener('click', () => this.save());
+        p.exit.addEventListener('click', () => this.dispatchEvent({ type: 'exit' }));
+
+        p.prompt.addEventListener('change', () => this.editField('prompt', p.prompt.value));
+        p.content.addEventListener('change', () => this.editField('content', p.content.value));
+        p.apply.addEventListener('click', () => {
+            let edited;
+            try {
+                edited = JSON.parse(p.json.value);
+            } catch (err) {
+                this.setStatus(err.message);
+                return;
+            }
+            replace(this.selection.entry, edited);
+            this.rebuildSelection();
+            this.select(this.selection);
+        });
+    }
+
+    editField(key, value) {
+        if (!this.selection) return;
+        this.selection.entry[key] = value;
+        this.rebuildSelection();
+    }
+
+    showInspector() {
+        const p = this.panel;
+        const sel = this.selection;
+        p.inspector.classList.toggle('hidden', !sel);
+        if (!sel) return;
+        const { section, entry } = sel;
+        p.title.textContent = `${section} · ${entry.id || entry.type || Object.keys(entry)[0]}`;
+        const fields = section === 'interactables';
+        p.fields.classList.toggle('hidden', !fields);
+        if (fields) {
+            p.prompt.value = entry.prompt || '';
+            p.content.value = entry.content || '';
+        }
+        this.showJSON();
+    }
+
+    showJSON() {
+        if (this.selection) this.panel.json.value = JSON.stringify(this.selection.entry, null, 2);
+    }
+
+    setStatus(text) {
+        this.panel.status.textContent = text;
+    }
+
+    // ── Export ──
+    // Saves through the dev server (see vite.config.js); falls back to a
+    // download when that isn't available
+    async save() {
+        const { data } = this.targetLevel();
+        const text = formatLevel(data);
+        try {
+            const res = await fetch(`/__editor/levels/${data.id}`, {
+                method: 'POST',
+                headers: { 'X-Level-Editor': '1' }, // the dev server refuses writes without it
+                body: text,
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            this.setStatus(`Saved levels/${data.id}.json`);
+        } catch (err) {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+            link.download = `${data.id}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            this.setStatus(`Save failed (${err.message}) — downloaded ${data.id}.json instead`);
+        }
+    }
+}
+
+const _pointer = new THREE.Vector2();
+const _forward = new THREE.Vector3();
+const _lightGeometry = new THREE.OctahedronGeometry(0.2);
+
+const HELPER_MATERIALS = {
+    triggers: new THREE.MeshBasicMaterial({ color: 0xffcc00, wireframe: true }),
+    interactables: new THREE.MeshBasicMaterial({ color: 0x00ff41, wireframe: true }),
+    colliders: new THREE.MeshBasicMaterial({ color: 0xff3333, wireframe: true }),
+};
+
+// ── New entries ──
+// Each returns the section to add to, the entry, and materials it needs
+const TEMPLATES = {
+    box: (at, data) => ({
+        section: 'props',
+        entry: { box: [1, 1, 1], at, material: data.materials.concrete ? 'concrete' : Object.keys(data.materials)[0], collider: true },
+    }),
+    light: at => ({
+        section: 'lights',
+        entry: { color: '#ffffff', intensity: 0.5, distance: 6, at },
+    }),
+    note: (at, data, level) => ({
+        section: 'interactables',
+        entry: { id: freeId(level, 'note'), type: 'note', model: 'sheet', at, prompt: 'Read Note', content: '' },
+        materials: { paper: { color: '#d4c9a8', roughness: 0.95, side: 'double' } },
+    }),
+    terminal: (at, data, level) => ({
+        section: 'interactables',
+        entry: { id: freeId(level, 'terminal'), type: 'terminal', model: 'console', at, prompt: 'Read Terminal', content: '' },
+        materials: { screen: { color: '#001a00', emissive: '#003300', emissiveIntensity: 0.8, roughness: 0.3, metalness: 0.4 } },
+    }),
+    trigger: (at, data, level) => ({
+        section: 'triggers',
+        entry: { id: freeId(level, 'zone'), type: 'zone', size: [2, 2, 2], at },
+    }),
+};
+
+function freeId(level, prefix) {
+    let i = 1;
+    while (level.objects[`${prefix}_${i}`]) i++;
+    return `${prefix}_${i}`;
+}
+
+// ── Entry geometry ──
+// Entries keep the loader's layout, so each section is moved and resized in
+// its own terms: rooms by bounds, walls by range, pipes and stairs by end
+// points, everything else by `at` and `size`.
+function anchor(section, e) {
+    if (section === 'rooms') {
+        const [x1, x2, z1, z2] = e.bounds;
+        return new THREE.Vector3((x1 + x2) / 2, 0, (z1 + z2) / 2);
+    }
+    if (section === 'walls') {
+        const bottom = e.y ? e.y[0] : 0;
+        return Array.isArray(e.x)
+            ? new THREE.Vector3((e.x[0] + e.x[1]) / 2, bottom, e.z)
+            : new THREE.Vector3(e.x, bottom, (e.z[0] + e.z[1]) / 2);
+    }
+    if (e.pipe) {
+        return new THREE.Vector3().fromArray(middle(e.pipe[0])).add(new THREE.Vector3().fromArray(middle(e.pipe[1]))).multiplyScalar(0.5);
+    }
+    if (section === 'stairs') {
+        return new THREE.Vector3().fromArray(e.from).add(new THREE.Vector3().fromArray(e.to)).multiplyScalar(0.5);
+    }
+    return new THREE.Vector3().fromArray(middle(e.at || [0, 0, 0]));
+}
+
+function translate(section, e, d) {
+    if (section === 'rooms') {
+        const [x1, x2, z1, z2] = e.bounds;
+        e.bounds = [x1 + d.x, x2 + d.x, z1 + d.z, z2 + d.z].map(round);
+        for (const holes of Object.values(e.holes || {})) {
+            holes.forEach((hole, i) => {
+                const [hx1, hx2, hz1, hz2] = hole;
+                holes[i] = [hx1 + d.x, hx2 + d.x, hz1 + d.z, hz2 + d.z].map(round);
+            });
+        }
+    } else if (section === 'walls') {
+        if (Array.isArray(e.x)) {
+            e.x = e.x.map(v => round(v + d.x));
+            e.z = round(e.z + d.z);
+        } else {
+            e.z = e.z.map(v => round(v + d.z));
+            e.x = round(e.x + d.x);
+        }
+        if (e.y) e.y = e.y.map(v => round(v + d.y));
+    } else if (e.pipe) {
+        e.pipe = e.pipe.map(p => shift(p, d));
+    } else if (section === 'stairs') {
+        e.from = shift(e.from, d);
+        e.to = shift(e.to, d);
+    } else {
+        e.at = shift(e.at || [0, 0, 0], d);
+    }
+}
+
+function canResize(section, e) {
+    if (['rooms', 'walls', 'colliders', 'triggers', 'lights', 'decals'].includes(section)) return true;
+    if (section === 'interactables') return (e.model || 'trigger') === 'trigger';
+    return section === 'props' && ['box', 'cylinder', 'sphere'].some(k => Array.isArray(e[k]));
+}
+
+function resize(section, e, s) {
+    if (!canResize(section, e)) return;
+    const scaled = (v, f) => snap(v * f);
+    if (section === 'rooms') {
+        const [x1, x2, z1, z2] = e.bounds;
+        const cx = (x1 + x2) / 2;
+        const cz = (z1 + z2) / 2;
+        e.bounds = [cx + (x1 - cx) * s.x, cx + (x2 - cx) * s.x, cz + (z1 - cz) * s.z, cz + (z2 - cz) * s.z].map(snap);
+    } else if (section === 'walls') {
+        const along = Array.isArray(e.x) ? 'x' : 'z';
+        const [a, b] = e[along];
+        const mid = (a + b) / 2;
+        e[along] = [mid + (a - mid) * s[along], mid + (b - mid) * s[along]].map(snap);
+        if (e.y) e.y = [e.y[0], e.y[0] + scaled(e.y[1] - e.y[0], s.y)];
+    } else if (section === 'lights') {
+        e.distance = round(e.distance * s.x);
+    } else if (e.box) {
+        e.box = e.box.map((v, i) => scaled(v, s.getComponent(i)));
+    } else if (e.cylinder) {
+        const [top, bottom, height, ...rest] = e.cylinder;
+        e.cylinder = [round(top * s.x), round(bottom * s.x), scaled(height, s.y), ...rest];
+    } else if (e.sphere) {
+        const [radius, ...rest] = e.sphere;
+        e.sphere = [round(radius * s.x), ...rest];
+    } else {
+        e.size = e.size.map((v, i) => scaled(v, s.getComponent(i)));
+    }
+}
+
+// Only single meshes honour `rotation` in the loader
+function canRotate(section, e) {
+    if (section === 'interactables' || section === 'decals') return true;
+    return section === 'props' && !e.pipe && !e.prefab && !e.light;
+}
+
+// ── Value helpers ──
+// Swap an entry's contents without changing its identity (the loader and
+// the level's section list both hold on to the object)
+function replace(target, source) {
+    for (const key of Object.keys(target)) delete target[key];
+    Object.assign(target, source);
+}
+
+function round(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+function snap(v) {
+    return round(Math.round(v / SNAP) * SNAP);
+}
+
+// Midpoint of a position that may use { min, max } ranges
+function middle(value) {
+    if (value && value.min !== undefined) return value.min.map((min, i) => (min + value.max[i]) / 2);
+    return value.map(v => (v && v.min !== undefined ? (v.min + v.max) / 2 : v));
+}
+
+// Offset a position, keeping any { min, max } ranges
+function shift(value, d) {
+    const add = (v, i) => {
+        const delta = d.getComponent(i);
+        if (v && v.min !== undefined) return { min: round(v.min + delta), max: round(v.max + delta) };
+        return round(v + delta);
+    };
+    if (value && value.min !== undefined) {
+        return { min: value.min.map(add), max: value.max.map(add) };
+    }
+    return value.map(add);
+}
+
+function originOf(level) {
+    return new THREE.Vector3().fromArray(level.data.origin || [0, 0, 0]);
+}
+
+function isTyping(target) {
+    return target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+// Same layout as the checked-in level files: containers stay on one line
+// while they fit in 120 columns, four-space indent, CRLF
+function formatLevel(data) {
+    return format(data, 0).replace(/\n/g, '\r\n') + '\r\n';
+}
+
+function format(value, depth) {
+    const pad = '    '.repeat(depth);
+    const flat = inline(value);
+    if (!value || typeof value !== 'object' || (flat.length + pad.length <= 120 && !flat.includes('\\n'))) return flat;
+    const inner = '    '.repeat(depth + 1);
+    const items = Array.isArray(value)
+        ? value.map(v => inner + format(v, depth + 1))
+        : Object.entries(value).filter(([, v]) => v !== undefined)
+            .map(([k, v]) => inner + JSON.stringify(k) + ': ' + format(v, depth + 1));
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+    return open + '\n' + items.join(',\n') + '\n' + pad + close;
+}
+
+function inline(value) {
+    if (Array.isArray(value)) return '[' + value.map(inline).join(', ') + ']';
+    if (value && typeof value === 'object') {
+        return '{' + Object.entries(value).filter(([, v]) => v !== undefined)
+            .map(([k, v]) => JSON.stringify(k) + ': ' + inline(v)).join(', ') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+// ── DOM ──
+function createPanel(levels) {
+    const root = document.createElement('div');
+    root.id = 'level-editor';
+    root.innerHTML = `
+    <div class="editor-toolbar">
+      <select class="editor-level">
+        ${levels.map(l => `<option value="${l.data.id}">${l.data.name || l.data.id}</option>`).join('')}
+      </select>
+      <span class="editor-group">
+        <button data-add="box">Box</button>
+        <button data-add="light">Light</button>
+        <button data-add="note">Note</button>
+        <button data-add="terminal">Terminal</button>
+        <button data-add="trigger">Trigger</button>
+      </span>
+      <span class="editor-group">
+        <button data-mode="translate">Move [1]</button>
+        <button data-mode="rotate">Rotate [2]</button>
+        <button data-mode="scale">Resize [3]</button>
+      </span>
+      <button class="editor-delete">Delete</button>
+      <button class="editor-save">Export</button>
+      <button class="editor-exit">Exit [F9]</button>
+    </div>
+    <div class="editor-inspector hidden">
+      <h3 class="editor-title"></h3>
+      <div class="editor-fields">
+        <label>promptText<input type="text" class="editor-prompt" /></label>
+        <label>content<textarea class="editor-content" rows="6"></textarea></label>
+      </div>
+      <label>entry<textarea class="editor-json" rows="12" spellcheck="false"></textarea></label>
+      <button class="editor-apply">Apply</button>
+    </div>
+    <p class="editor-status"></p>
+    <p class="editor-help">RMB look · WASD fly · Q/E down/up · Shift fast · LMB pick · Del delete · Esc deselect</p>`;
+    const q = selector => root.querySelector(selector);
+    return {
+        root,
+        level: q('.editor-level'),
+        modes: [...root.querySelectorAll('[data-mode]')],
+        remove: q('.editor-delete'),
+        save: q('.editor-save'),
+        exit: q('.editor-exit'),
+        inspector: q('.editor-inspector'),
+        title: q('.editor-title'),
+        fields: q('.editor-fields'),
+        prompt: q('.editor-prompt'),
+        content: q('.editor-content'),
+        json: q('.editor-json'),
+        apply: q('.editor-apply'),
+        status: q('.editor-status'),
+    };
+}
@@ -1,11 +1,29 @@
 import * as THREE from 'three';
 
-export class AudioManager {
+// How far (m) each gameplay sound carries for the entity's hearing
+const NOISE_RADIUS = {
+    walk: 2.5,
+    sprint: 9,
+    doorSlam: 14,
+    valve: 12,
+};
+
+/**
+ * Procedural Web Audio sound effects. Gameplay sounds that the Glitch Entity
+ * can hear also dispatch a 'noise' event { position, radius, source }, and
+ * the jolting ones (scares, slams, booms) an 'impact' event { strength,
+ * duration } for controller rumble.
+ * Everything plays through the listener's gain, so setVolume() is the
+ * master volume.
+ */
+export class AudioManager extends THREE.EventDispatcher {
     constructor(camera, state) {
+        super();
         this.listener = new THREE.AudioListener();
         camera.add(this.listener);
         this.state = state;
         this.ctx = this.listener.context;
+        this.output = this.listener.getInput();
         this.sounds = {};
         this.ambiencePlaying = false;
         this.footstepTimer = 0;
@@ -69,6 +87,11 @@ export class AudioManager {
         return buffer;
     }
 
+    // 0–1
+    setVolume(level) {
+        this.listener.setMasterVolume(level);
+    }
+
     startAmbience() {
         if (this.ambiencePlaying) return;
         this.ambiencePlaying = true;
@@ -82,7 +105,7 @@ export class AudioManager {
         this.windSource.loop = true;
         const windGain = this.ctx.createGain();
         windGain.gain.value = 0.15;
-        this.windSource.connect(windGain).connect(this.ctx.destination);
+        this.windSource.connect(windGain).connect(this.output);
         this.windSource.start();
 
         // Hum
@@ -91,7 +114,7 @@ export class AudioManager {
         this.humSource.loop = true;
         const humGain = this.ctx.createGain();
         humGain.gain.value = 0.08;
-        this.humSource.connect(humGain).connect(this.ctx.destination);
+        this.humSource.connect(humGain).connect(this.output);
         this.humSource.start();
     }
 
@@ -99,6 +122,37 @@ export class AudioManager {
         this.ambiencePlaying = false;
         try { this.windSource?.stop(); } catch (e) { }
         try { this.humSource?.stop(); } catch (e) { }
+        this.setChaseMusic(false);
+    }
+
+    // Pulsing low drone while the entity is chasing
+    setChaseMusic(on) {
+        const ctx = this.ctx;
+        if (on && !this.chaseMusic) {
+            const osc = ctx.createOscillator();
+            osc.type = 'sawtooth';
+            osc.frequency.value = 55;
+            const lfo = ctx.createOscillator();
+            lfo.frequency.value = 2.2; // roughly a racing heartbeat
+            const lfoGain = ctx.createGain();
+            lfoGain.gain.value = 0.05;
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0, ctx.currentTime);
+            gain.gain.linearRampToValueAtTime(0.06, ctx.currentTime + 0.5);
+            lfo.connect(lfoGain).connect(gain.gain);
+            osc.connect(gain).connect(this.output);
+            osc.start();
+            lfo.start();
+            this.chaseMusic = { osc, lfo, gain };
+        } else if (!on && this.chaseMusic) {
+            const { osc, lfo, gain } = this.chaseMusic;
+            gain.gain.cancelScheduledValues(ctx.currentTime);
+            gain.gain.setValueAtTime(gain.gain.value, ctx.currentTime);
+            gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 1.5);
+            osc.stop(ctx.currentTime + 1.5);
+            lfo.stop(ctx.currentTime + 1.5);
+            this.chaseMusic = null;
+        }
     }
 
     playClick() {
@@ -114,7 +168,7 @@ export class AudioManager {
         osc.frequency.exponentialRampToValueAtTime(800, ctx.currentTime + 0.1);
         gain.gain.setValueAtTime(0.08, ctx.currentTime);
         gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.3);
-        osc.connect(gain).connect(ctx.destination);
+        osc.connect(gain).connect(this.output);
         osc.start();
         osc.stop(ctx.currentTime + 0.3);
     }
@@ -129,7 +183,7 @@ export class AudioManager {
         }
         const source = ctx.createBufferSource();
         source.buffer = buffer;
-        source.connect(ctx.destination);
+        source.connect(this.output);
         source.start();
     }
 
@@ -147,10 +201,11 @@ export class AudioManager {
         gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 1.5);
         osc1.connect(gain);
         osc2.connect(gain);
-        gain.connect(ctx.destination);
+        gain.connect(this.output);
         osc1.start(); osc2.start();
         osc1.stop(ctx.currentTime + 1.5);
         osc2.stop(ctx.currentTime + 1.5);
+        this.dispatchEvent({ type: 'impact', strength: 0.8, duration: 400 });
     }
 
     playWhisper() {
@@ -168,12 +223,20 @@ export class AudioManager {
         }
         const source = ctx.createBufferSource();
         source.buffer = buffer;
-        source.connect(ctx.destination);
+        source.connect(this.output);
         source.start();
     }
 
-    playDoorSlam() {
+    // Pass a position for slams the player caused — scripted scares stay silent to the entity
+    playDoorSlam(position) {
         this._playTone(60, 0.2, 0.3);
+        this.dispatchEvent({ type: 'impact', strength: 0.6, duration: 200 });
+        if (position) this.emitNoise(position, NOISE_RADIUS.doorSlam, 'door');
+    }
+
+    playValve(position, pitch) {
+        this._playTone(pitch, 0.3, 0.15);
+        this.emitNoise(position, NOISE_RADIUS.valve, 'valve');
     }
 
     playBassBoom() {
@@ -199,7 +262,7 @@ export class AudioManager {
         osc1.connect(gain);
         osc2.connect(gain);
         osc3.connect(gain);
-        gain.connect(ctx.destination);
+        gain.connect(this.output);
 
         osc1.start(); osc2.start(); osc3.start();
         osc1.stop(ctx.currentTime + 3);
@@ -217,8 +280,9 @@ export class AudioManager {
         noiseSrc.buffer = noiseBuf;
         const noiseGain = ctx.createGain();
         noiseGain.gain.value = 0.4;
-        noiseSrc.connect(noiseGain).connect(ctx.destination);
+        noiseSrc.connect(noiseGain).connect(this.output);
         noiseSrc.start();
+        this.dispatchEvent({ type: 'impact', strength: 1, duration: 600 });
     }
 
     playAlarm() {
@@ -234,7 +298,7 @@ export class AudioManager {
             gain.gain.setValueAtTime(0.12, t);
             gain.gain.setValueAtTime(0.08, t + 0.5);
             gain.gain.setValueAtTime(0.001, t + 0.95);
-            osc.connect(gain).connect(ctx.destination);
+            osc.connect(gain).connect(this.output);
             osc.start(t);
             osc.stop(t + 1);
         }
@@ -245,7 +309,7 @@ export class AudioManager {
         source.buffer = this.sounds.heartbeat;
         const gain = this.ctx.createGain();
         gain.gain.value = 0.25;
-        source.connect(gain).connect(this.ctx.destination);
+        source.connect(gain).connect(this.output);
         source.start();
     }
 
@@ -256,20 +320,28 @@ export class AudioManager {
         osc.frequency.value = freq;
         gain.gain.setValueAtTime(vol, ctx.currentTime);
         gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + dur);
-        osc.connect(gain).connect(ctx.destination);
+        osc.connect(gain).connect(this.output);
         osc.start();
         osc.stop(ctx.currentTime + dur);
     }
 
-    updateFootsteps(delta, sprinting) {
+    updateFootsteps(delta, sprinting, position) {
         this.footstepTimer += delta;
         const interval = sprinting ? 0.3 : 0.5;
         if (this.footstepTimer >= interval) {
             this.footstepTimer = 0;
             this._playTone(80 + Math.random() * 40, 0.08, 0.06);
+            if (position) {
+                this.emitNoise(position, sprinting ? NOISE_RADIUS.sprint : NOISE_RADIUS.walk, 'footstep');
+            }
         }
     }
 
+    // ── Noise ──
+    emitNoise(position, radius, source) {
+        this.dispatchEvent({ type: 'noise', position: position.clone(), radius, source });
+    }
+
     update(delta, playerPos) {
         // Could add positional audio updates here
     }
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+
+// Standard-mapping buttons and what they press. Game and menu actions go
+// out together; whichever side isn't listening ignores its half.
+const BUTTONS = [
+    { index: 0, name: 'A', actions: ['interact', 'menuConfirm', 'skip'] },
+    { index: 1, name: 'B', actions: ['menuBack'] },
+    { index: 2, name: 'X', actions: ['sprint'] },
+    { index: 3, name: 'Y', actions: ['inventory'] },
+    { index: 4, name: 'LB', actions: ['beamMode'] },
+    { index: 5, name: 'RB', actions: ['swapBattery'] },
+    { index: 7, name: 'RT', actions: ['flashlight'] },
+    { index: 9, name: 'Menu', actions: ['pause'] },
+    { index: 10, name: 'LS', actions: ['sprint'] },
+    { index: 12, name: 'D-Pad ↑', actions: ['menuUp'] },
+    { index: 13, name: 'D-Pad ↓', actions: ['menuDown'] },
+    { index: 14, name: 'D-Pad ←', actions: ['menuLeft'] },
+    { index: 15, name: 'D-Pad →', actions: ['menuRight'] },
+];
+
+// Menu directions repeat while held, like a key
+const REPEATING = ['menuUp', 'menuDown', 'menuLeft', 'menuRight'];
+
+/**
+ * First connected controller as an input device. Polled once a frame:
+ * buttons press and release actions on the Input, the left stick sets its
+ * analog move and the right stick its look rate. The left stick also steers
+ * menus.
+ *
+ * Sticks get a radial deadzone, with the rest of their travel rescaled to
+ * 0–1 and raised to `curve` — above 1 trades speed at small tilts for
+ * finer aim.
+ *
+ * Events dispatched:
+ *   'connected' { id }
+ *   'disconnected'
+ */
+export class GamepadInput extends THREE.EventDispatcher {
+    constructor(input, options = {}) {
+        super();
+        const {
+            deadzone = 0.15,
+            moveCurve = 1,
+            lookCurve = 2,
+            triggerThreshold = 0.5,
+            repeatDelay = 0.4,
+            repeatRate = 0.12,
+        } = options;
+
+        this.input = input;
+        this.deadzone = deadzone;
+        this.moveCurve = moveCurve;
+        this.lookCurve = lookCurve;
+        this.triggerThreshold = triggerThreshold;
+        this.repeatDelay = repeatDelay;
+        this.repeatRate = repeatRate;
+        this.rumbleEnabled = true;
+        this.pad = null;
+        this.held = new Map(); // action → seconds until it next repeats
+    }
+
+    update(delta) {
+        const pad = [...(navigator.getGamepads?.() || [])].find(p => p && p.connected) || null;
+        if (pad?.index !== this.pad?.index) {
+            this.disconnect();
+            if (pad) this.dispatchEvent({ type: 'connected', id: pad.id });
+        }
+        this.pad = pad;
+        if (!pad) return;
+
+        const [lx = 0, ly = 0, rx = 0, ry = 0] = pad.axes;
+        shapeStick(lx, -ly, this.deadzone, this.moveCurve, this.input.move);
+        shapeStick(rx, ry, this.deadzone, this.lookCurve, this.input.look);
+
+        const down = new Set();
+        for (const { index, actions } of BUTTONS) {
+            const button = pad.buttons[index];
+            if (button && (button.pressed || button.value > this.triggerThreshold)) actions.forEach(a => down.add(a));
+        }
+        if (Math.max(Math.abs(lx), Math.abs(ly)) > 0.5) {
+            if (Math.abs(lx) > Math.abs(ly)) down.add(lx < 0 ? 'menuLeft' : 'menuRight');
+            else down.add(ly < 0 ? 'menuUp' : 'menuDown');
+        }
+
+        for (const action of down) {
+            if (!this.held.has(action)) {
+                this.held.set(action, this.repeatDelay);
+                this.input.press(action, 'gamepad', false, this);
+            } else if (REPEATING.includes(action)) {
+                const wait = this.held.get(action) - delta;
+                this.held.set(action, wait > 0 ? wait : this.repeatRate);
+                if (wait <= 0) this.input.press(action, 'gamepad', true, this);
+            }
+        }
+        for (const action of this.held.keys()) {
+            if (down.has(action)) continue;
+            this.held.delete(action);
+            this.input.release(action, 'gamepad');
+        }
+    }
+
+    // Let go of everything the last controller was holding
+    disconnect() {
+        if (!this.pad) return;
+        for (const action of this.held.keys()) this.input.release(action, 'gamepad');
+        this.held.clear();
+        this.input.move.set(0, 0);
+        this.input.look.set(0, 0);
+        this.pad = null;
+        this.dispatchEvent({ type: 'disconnected' });
+    }
+
+    // Strength 0–1 of both motors, for `duration` ms; silently nothing on
+    // controllers (or browsers) without vibration
+    rumble(strength, duration = 200) {
+        const actuator = this.pad?.vibrationActuator;
+        if (!this.rumbleEnabled || typeof actuator?.playEffect !== 'function') return;
+        actuator.playEffect('dual-rumble', {
+            duration,
+            strongMagnitude: strength,
+            weakMagnitude: Math.min(1, strength * 1.5),
+        }).catch(() => {});
+    }
+
+    // Button for an action, for prompts (see Input.label)
+    label(action) {
+        return BUTTONS.find(({ actions }) => actions.includes(action))?.name || null;
+    }
+}
+
+function shapeStick(x, y, deadzone, curve, target) {
+    const length = Math.hypot(x, y);
+    if (length <= deadzone) return target.set(0, 0);
+    const scaled = Math.min(1, (length - deadzone) / (1 - deadzone)) ** curve;
+    return target.set(x / length * scaled, y / length * scaled);
+}
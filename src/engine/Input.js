@@ -0,0 +1,179 @@
+import * as THREE from 'three';
+
+// Every rebindable action, with its default [primary, secondary] keys as
+// KeyboardEvent.code values
+export const ACTIONS = [
+    { id: 'moveForward', name: 'Move Forward', keys: ['KeyW', 'ArrowUp'] },
+    { id: 'moveBackward', name: 'Move Back', keys: ['KeyS', 'ArrowDown'] },
+    { id: 'moveLeft', name: 'Strafe Left', keys: ['KeyA', 'ArrowLeft'] },
+    { id: 'moveRight', name: 'Strafe Right', keys: ['KeyD', 'ArrowRight'] },
+    { id: 'sprint', name: 'Sprint', keys: ['ShiftLeft', null] },
+    { id: 'interact', name: 'Interact', keys: ['KeyE', null] },
+    { id: 'flashlight', name: 'Flashlight', keys: ['KeyF', null] },
+    { id: 'beamMode', name: 'Beam Mode', keys: ['KeyQ', null] },
+    { id: 'swapBattery', name: 'Swap Battery', keys: ['KeyR', null] },
+    { id: 'inventory', name: 'Inventory', keys: ['Tab', 'KeyI'] },
+    { id: 'pause', name: 'Pause', keys: ['KeyP', null] },
+    { id: 'skip', name: 'Skip Cutscene', keys: ['Space', 'Enter'] },
+];
+
+export const DEFAULT_BINDINGS = Object.fromEntries(ACTIONS.map(({ id, keys }) => [id, keys]));
+
+/**
+ * Player input as actions rather than keys. Keys are bound by their place on
+ * the keyboard (`e.code`), so the defaults sit under the same fingers on any
+ * layout. Each action has two key slots; a key belongs to one action at most.
+ *
+ * An action is held while any of its sources is: a key, or another device
+ * pressing it through press()/release(). Such devices may also press the
+ * menu actions (menuUp, menuDown, menuLeft, menuRight, menuConfirm,
+ * menuBack), which no key is bound to, and set the analog `move` and `look`
+ * or add to `swipe`.
+ *
+ * Events dispatched:
+ *   'press' { action, repeat }   action pressed (repeat: a held key auto-repeating)
+ *   'release' { action }          action let go by its last source
+ */
+export class Input extends THREE.EventDispatcher {
+    constructor(bindings = DEFAULT_BINDINGS) {
+        super();
+        this.held = new Map(); // action → sources holding it
+        this.capturing = null; // callback waiting for the next key (rebinding)
+        this.device = null;    // device that last pressed something; null for the keyboard
+        this.move = new THREE.Vector2(); // analog move, x right and y forward, 0–1 tilt
+        this.look = new THREE.Vector2(); // analog look rate, x right and y down
+        this.swipe = new THREE.Vector2(); // look turned (radians) since the game last took it
+        this.setBindings(bindings);
+
+        this.onKeyDown = e => this.keyDown(e);
+        this.onKeyUp = e => this.release(this.actionFor(e.code), e.code);
+        this.onBlur = () => this.releaseAll();
+    }
+
+    attach(target = document) {
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    // Takes a copy; actions missing from `bindings` (added since they were
+    // saved) get their defaults
+    setBindings(bindings) {
+        this.bindings = Object.fromEntries(ACTIONS.map(({ id }) => [id, [...(bindings[id] || DEFAULT_BINDINGS[id])]]));
+        this.releaseAll();
+    }
+
+    actionFor(code) {
+        return ACTIONS.find(({ id }) => this.bindings[id].includes(code))?.id || null;
+    }
+
+    isDown(action) {
+        const sources = this.held.get(action);
+        return !!sources && sources.size > 0;
+    }
+
+    press(action, source, repeat = false, device = null) {
+        if (!action) return;
+        this.device = device;
+        if (!this.held.has(action)) this.held.set(action, new Set());
+        const sources = this.held.get(action);
+        const wasDown = sources.size > 0;
+        sources.add(source);
+        this.dispatchEvent({ type: 'press', action, repeat: repeat || wasDown });
+    }
+
+    release(action, source) {
+        const sources = this.held.get(action);
+        if (!sources || !sources.delete(source) || sources.size > 0) return;
+        this.dispatchEvent({ type: 'release', action });
+    }
+
+    releaseAll() {
+        for (const [action, sources] of this.held) {
+            if (sources.size === 0) continue;
+            sources.clear();
+            this.dispatchEvent({ type: 'release', action });
+        }
+    }
+
+    // Move direction into `target`, x right and y forward: held keys win,
+    // otherwise the analog move keeps its tilt for a slower creep
+    movement(target) {
+        target.set(
+            Number(this.isDown('moveRight')) - Number(this.isDown('moveLeft')),
+            Number(this.isDown('moveForward')) - Number(this.isDown('moveBackward')),
+        );
+        if (target.lengthSq() > 0) return target.normalize();
+        return target.copy(this.move).clampLength(0, 1);
+    }
+
+    keyDown(e) {
+        if (this.capturing) {
+            e.preventDefault();
+            const done = this.capturing;
+            this.capturing = null;
+            done(e.code);
+            return;
+        }
+        const action = this.actionFor(e.code);
+        if (!action) return;
+        // Keep Tab, arrows and the like from moving focus or scrolling
+        // while playing; menus' own controls still get them
+        if (e.target === document.body) e.preventDefault();
+        this.press(action, e.code, e.repeat);
+    }
+
+    // Hand the next key pressed to `callback` instead of acting on it
+    // (null stops waiting)
+    capture(callback) {
+        this.releaseAll();
+        this.capturing = callback;
+    }
+
+    // Put `code` in one of an action's key slots (null empties it). A key
+    // already bound elsewhere moves here; returns the actions it was taken from.
+    rebind(action, slot, code) {
+        const taken = [];
+        if (code) {
+            for (const { id } of ACTIONS) {
+                this.bindings[id].forEach((bound, i) => {
+                    if (bound !== code || (id === action && i === slot)) return;
+                    this.bindings[id][i] = null;
+                    taken.push(id);
+                });
+            }
+        }
+        this.bindings[action][slot] = code;
+        this.releaseAll();
+        return taken;
+    }
+
+    // Name of the first key bound to an action, for prompts — or of its
+    // button, after another device was last used
+    label(action) {
+        const button = this.device?.label(action);
+        if (button) return button;
+        const code = this.bindings[action].find(Boolean);
+        return code ? keyLabel(code) : '—';
+    }
+
+    toJSON() {
+        return Object.fromEntries(Object.entries(this.bindings).map(([id, keys]) => [id, [...keys]]));
+    }
+}
+
+const KEY_NAMES = {
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    ShiftLeft: 'L-Shift', ShiftRight: 'R-Shift', ControlLeft: 'L-Ctrl', ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt', AltRight: 'R-Alt', Space: 'Space', Tab: 'Tab', Enter: 'Enter',
+    Backspace: 'Backspace', CapsLock: 'Caps', Escape: 'Esc',
+};
+
+// 'KeyW' → 'W', 'Digit1' → '1', 'Numpad4' → 'Num 4'
+export function keyLabel(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+const FOCUSABLE = 'button, input, select';
+
+/**
+ * Steers an overlay's buttons and fields with the menu actions a controller
+ * presses: up/down walk its controls in page order, left/right change the
+ * value of a slider, select or checkbox (or walk, on a button), confirm
+ * clicks and back clicks the menu's own back button.
+ *
+ * The controller's place is marked with the 'pad-focus' class, since
+ * browsers don't reliably show focus that a script moved.
+ */
+export class MenuNavigator {
+    constructor() {
+        this.focused = null;
+        this.root = null;
+        this.index = 0; // where focus was, for when a menu re-renders under it
+    }
+
+    // `menu` is { root, back }; returns whether the action was a menu one
+    handle(action, menu) {
+        switch (action) {
+            case 'menuUp': this.move(menu.root, -1); break;
+            case 'menuDown': this.move(menu.root, 1); break;
+            case 'menuLeft': if (!this.adjust(menu.root, -1)) this.move(menu.root, -1); break;
+            case 'menuRight': if (!this.adjust(menu.root, 1)) this.move(menu.root, 1); break;
+            case 'menuConfirm': this.confirm(menu.root); break;
+            case 'menuBack': menu.back?.click(); break;
+            default: return false;
+        }
+        return true;
+    }
+
+    controls(root) {
+        return [...root.querySelectorAll(FOCUSABLE)].filter(el => el.offsetParent !== null && !el.disabled);
+    }
+
+    // Focus into `root` first (where it was, if the menu re-rendered);
+    // once there, step `step` controls on
+    move(root, step) {
+        const controls = this.controls(root);
+        if (controls.length === 0) return;
+        const at = controls.indexOf(this.focused);
+        let index = (at + step + controls.length) % controls.length;
+        if (at === -1) index = root === this.root ? Math.min(this.index, controls.length - 1) : 0;
+        this.focus(root, controls[index], index);
+    }
+
+    focus(root, el, index) {
+        this.focused?.classList.remove('pad-focus');
+        this.root = root;
+        this.focused = el;
+        this.index = index;
+        el.classList.add('pad-focus');
+        el.focus({ preventScroll: true });
+        el.scrollIntoView({ block: 'nearest' });
+    }
+
+    // The focused control, if it's still showing in `root`
+    current(root) {
+        const el = this.focused;
+        return el?.isConnected && root.contains(el) && el.offsetParent !== null ? el : null;
+    }
+
+    adjust(root, step) {
+        const el = this.current(root);
+        if (!el) return false;
+        if (el.type === 'range') el.value = Number(el.value) + step * (Number(el.step) || 1);
+        else if (el.tagName === 'SELECT') el.selectedIndex = THREE.MathUtils.clamp(el.selectedIndex + step, 0, el.options.length - 1);
+        else if (el.type === 'checkbox') el.checked = step > 0;
+        else return false;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        return true;
+    }
+
+    confirm(root) {
+        const el = this.current(root);
+        if (!el) {
+            this.move(root, 0);
+        } else if (el.tagName === 'SELECT') {
+            el.selectedIndex = (el.selectedIndex + 1) % el.options.length;
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        } else {
+            el.click();
+        }
+    }
+
+    // Drop the marker, e.g. when the mouse takes over
+    clear() {
+        this.focused?.classList.remove('pad-focus');
+        this.focused = null;
+    }
+}
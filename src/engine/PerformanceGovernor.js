@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+// Rungs from full load down, each cheaper than the last:
+//   pixelScale     share of the quality tier's pixel ratio
+//   bloomScale     bloom render target size as a share of the screen's
+//   shadowCasters  most lights casting shadows at once, flashlight first
+export const GOVERNOR_STEPS = [
+    { pixelScale: 1, bloomScale: 1, shadowCasters: Infinity },
+    { pixelScale: 0.85, bloomScale: 1, shadowCasters: Infinity },
+    { pixelScale: 0.85, bloomScale: 0.5, shadowCasters: 2 },
+    { pixelScale: 0.7, bloomScale: 0.5, shadowCasters: 2 },
+    { pixelScale: 0.7, bloomScale: 0.25, shadowCasters: 1 },
+    { pixelScale: 0.5, bloomScale: 0.25, shadowCasters: 1 },
+];
+
+/**
+ * Holds the frame rate near a target by stepping down GOVERNOR_STEPS while
+ * frames run long and back up once they don't. It only measures and decides;
+ * the listener applies the step.
+ *
+ * Frame times are averaged over `window` seconds. Frames are capped at the
+ * display's refresh rate, so headroom can't be seen, only tried: after
+ * `recovery` good windows the governor climbs a step, and each climb that
+ * has to be undone doubles the wait before the next one.
+ *
+ * Events dispatched:
+ *   'change' { step, level }   moved to another rung
+ */
+export class PerformanceGovernor extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        const {
+            targetFps = 60,
+            window = 1.5,
+            recovery = 3,
+            maxRecovery = 40,
+        } = options;
+
+        this.targetFps = targetFps;
+        this.window = window;
+        this.baseRecovery = recovery;
+        this.maxRecovery = maxRecovery;
+        this.enabled = true;
+        this.reset();
+    }
+
+    reset() {
+        this.level = 0;
+        this.recovery = this.baseRecovery;
+        this.goodWindows = 0;
+        this.climbed = false; // last move was a climb, not yet proven
+        this.time = 0;
+        this.frames = 0;
+        this.frameTime = 0;   // average of the last window, in seconds
+    }
+
+    get step() {
+        return GOVERNOR_STEPS[this.level];
+    }
+
+    get fps() {
+        return this.frameTime > 0 ? 1 / this.frameTime : 0;
+    }
+
+    // Call once per rendered frame with the unclamped frame time
+    update(delta) {
+        // Hitches (shader compiles, tab switches) say nothing about load
+        if (delta > 0.25) return;
+        this.time += delta;
+        this.frames++;
+        if (this.time < this.window) return;
+
+        this.frameTime = this.time / this.frames;
+        this.time = 0;
+        this.frames = 0;
+        if (!this.enabled) return;
+
+        const budget = 1 / this.targetFps;
+        if (this.frameTime > budget * 1.15) {
+            if (this.climbed) this.recovery = Math.min(this.maxRecovery, this.recovery * 2);
+            this.climbed = false;
+            this.goodWindows = 0;
+            this.setLevel(this.level + 1);
+        } else if (this.frameTime < budget * 1.05) {
+            this.climbed = false;
+            if (++this.goodWindows >= this.recovery && this.level > 0) {
+                this.goodWindows = 0;
+                this.climbed = true;
+                this.setLevel(this.level - 1);
+            }
+        }
+    }
+
+    setLevel(level) {
+        level = THREE.MathUtils.clamp(level, 0, GOVERNOR_STEPS.length - 1);
+        if (level === this.level) return;
+        this.level = level;
+        this.dispatchEvent({ type: 'change', step: this.step, level });
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Graphics quality tiers. Each preset sets every knob; the 'custom' tier
+ * takes them from the player's own choices (the `customQuality` setting),
+ * filling any it lacks from 'high'.
+ *
+ *   pixelRatio     renderer pixel ratio, capped at the display's own
+ *   shadows        lights casting shadows: off | key (sky and flashlight) | all
+ *   softShadows    PCF soft shadow filtering rather than plain PCF
+ *   shadowDetail   shadow map size as a share of each light's full size
+ *   snow           share of the full blizzard's snow and wind streaks
+ *   textureDetail  share of the full procedural texture resolution; used
+ *                  when the world is next built
+ *   bloom          bloom pass
+ *   filmGrain      film grain pass
+ */
+export const QUALITY_PRESETS = {
+    low: {
+        pixelRatio: 1, shadows: 'off', softShadows: false, shadowDetail: 0.5,
+        snow: 0.25, textureDetail: 0.5, bloom: false, filmGrain: false,
+    },
+    medium: {
+        pixelRatio: 1.5, shadows: 'key', softShadows: false, shadowDetail: 0.5,
+        snow: 0.5, textureDetail: 1, bloom: true, filmGrain: true,
+    },
+    high: {
+        pixelRatio: 2, shadows: 'all', softShadows: true, shadowDetail: 1,
+        snow: 1, textureDetail: 1, bloom: true, filmGrain: true,
+    },
+};
+
+// What the settings panel offers for each knob on the custom tier, as
+// [value, label] pairs
+export const QUALITY_KNOBS = [
+    { key: 'pixelRatio', name: 'Render Scale', options: [[0.75, '75%'], [1, '100%'], [1.5, '150%'], [2, '200%']] },
+    { key: 'shadows', name: 'Shadows', options: [['off', 'Off'], ['key', 'Flashlight & Sky'], ['all', 'All Lights']] },
+    { key: 'softShadows', name: 'Soft Shadows', options: [[false, 'Off'], [true, 'On']] },
+    { key: 'shadowDetail', name: 'Shadow Detail', options: [[0.25, 'Low'], [0.5, 'Medium'], [1, 'High']] },
+    { key: 'snow', name: 'Snow Density', options: [[0.25, 'Low'], [0.5, 'Medium'], [1, 'High']] },
+    { key: 'textureDetail', name: 'Texture Detail', options: [[0.25, 'Low'], [0.5, 'Medium'], [1, 'High']] },
+    { key: 'bloom', name: 'Bloom', options: [[false, 'Off'], [true, 'On']] },
+    { key: 'filmGrain', name: 'Film Grain', options: [[false, 'Off'], [true, 'On']] },
+];
+
+// Knob values for a tier
+export function resolveQuality(quality, custom = {}) {
+    if (quality === 'custom') return { ...QUALITY_PRESETS.high, ...custom };
+    return QUALITY_PRESETS[quality] || QUALITY_PRESETS.high;
+}
@@ -0,0 +1,72 @@
+/**
+ * Persists game snapshots to localStorage under named save slots.
+ * Snapshots are plain JSON produced by main.js — this class only handles
+ * storage, versioning and slot bookkeeping.
+ */
+export const SAVE_VERSION = 3;
+
+export const SAVE_SLOTS = [
+    { id: 'autosave', name: 'Autosave', manual: false },
+    { id: 'slot-1', name: 'Slot 1', manual: true },
+    { id: 'slot-2', name: 'Slot 2', manual: true },
+    { id: 'slot-3', name: 'Slot 3', manual: true },
+];
+
+export class SaveManager {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+        this.prefix = 'caister-velocity:save:';
+    }
+
+    save(slot, snapshot) {
+        const record = { ...snapshot, version: SAVE_VERSION, slot, savedAt: Date.now() };
+        try {
+            this.storage.setItem(this.prefix + slot, JSON.stringify(record));
+            return true;
+        } catch (err) {
+            // Quota exceeded or storage disabled (private browsing)
+            console.warn(`Failed to write save slot "${slot}":`, err);
+            return false;
+        }
+    }
+
+    load(slot) {
+        let raw;
+        try {
+            raw = this.storage.getItem(this.prefix + slot);
+        } catch (err) {
+            return null;
+        }
+        if (!raw) return null;
+        try {
+            const record = JSON.parse(raw);
+            if (record.version !== SAVE_VERSION) return null;
+            return record;
+        } catch (err) {
+            console.warn(`Save slot "${slot}" is corrupted — ignoring`);
+            return null;
+        }
+    }
+
+    remove(slot) {
+        try { this.storage.removeItem(this.prefix + slot); } catch (e) { }
+    }
+
+    // Slot metadata for the save/load screen (snapshot is null for empty slots)
+    list() {
+        return SAVE_SLOTS.map(def => ({ ...def, snapshot: this.load(def.id) }));
+    }
+
+    // Most recently written snapshot across all slots — backs the "Continue" button
+    latest() {
+        let best = null;
+        for (const { snapshot } of this.list()) {
+            if (snapshot && (!best || snapshot.savedAt > best.savedAt)) best = snapshot;
+        }
+        return best;
+    }
+
+    hasAny() {
+        return this.latest() !== null;
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Timers on a clock that the game loop advances by its frame delta, so they
+ * hold still whenever the loop does — or while `paused` is set — instead of
+ * firing behind the pause menu. Times are in seconds.
+ *
+ * after(), every() and tween() return the timer, which cancel() takes;
+ * clear() drops them all, e.g. when the session ends.
+ */
+export class Scheduler {
+    constructor() {
+        this.time = 0;
+        this.paused = false;
+        this.timers = new Set();
+    }
+
+    // `callback` once, `delay` seconds from now
+    after(delay, callback) {
+        return this.every(delay, callback, 1);
+    }
+
+    // `callback(i)` every `interval` seconds, `times` times or until cancelled
+    every(interval, callback, times = Infinity) {
+        const timer = { at: this.time + interval, interval, callback, times, fired: 0 };
+        this.timers.add(timer);
+        return timer;
+    }
+
+    // `step(t)` each update for `duration` seconds, t rising from 0 to
+    // exactly 1; then `done`
+    tween(duration, step, done) {
+        const timer = { start: this.time, duration, step, done };
+        this.timers.add(timer);
+        return timer;
+    }
+
+    cancel(timer) {
+        if (timer) this.timers.delete(timer);
+    }
+
+    clear() {
+        this.timers.clear();
+    }
+
+    update(delta) {
+        if (this.paused) return;
+        this.time += delta;
+        for (const timer of [...this.timers]) {
+            // A callback earlier in this update may have cancelled it
+            if (!this.timers.has(timer)) continue;
+            if (timer.step) {
+                const t = timer.duration > 0 ? Math.min((this.time - timer.start) / timer.duration, 1) : 1;
+                timer.step(t);
+                if (t < 1) continue;
+                this.timers.delete(timer);
+                if (timer.done) timer.done();
+                continue;
+            }
+            // Short intervals catch up on long frames
+            while (this.timers.has(timer) && this.time >= timer.at) {
+                const i = timer.fired++;
+                if (timer.fired >= timer.times) this.timers.delete(timer);
+                timer.at += timer.interval;
+                timer.callback(i);
+                if (timer.interval <= 0) break;
+            }
+        }
+    }
+}
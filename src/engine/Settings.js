@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { QUALITY_PRESETS } from './Quality.js';
+import { DEFAULT_BINDINGS } from './Input.js';
+
+export const DEFAULT_SETTINGS = {
+    sensitivity: 5,     // 1–10, 5 is the controls' own speed
+    volume: 70,         // master volume, 0–100
+    quality: 'high',    // low | medium | high | custom
+    customQuality: { ...QUALITY_PRESETS.high }, // knobs of the custom tier
+    dynamicResolution: true, // let the performance governor lighten the load
+    targetFps: 60,
+    performanceHud: false,
+    difficulty: 'normal',
+    bindings: DEFAULT_BINDINGS, // action → [primary, secondary] key codes
+    stickDeadzone: 15,  // % of stick travel ignored
+    stickCurve: 2,      // look stick response exponent, 1 is linear
+    vibration: true,
+    touchControls: 'auto', // auto (phones and tablets) | on | off
+};
+
+/**
+ * Player settings, kept in localStorage apart from the save slots so they
+ * survive starting over. Systems bind() to the values they use and are
+ * handed each new value as the player changes it.
+ *
+ * Events dispatched:
+ *   'change' { key, value }
+ */
+export class Settings extends THREE.EventDispatcher {
+    constructor(storage = window.localStorage) {
+        super();
+        this.storage = storage;
+        this.key = 'caister-velocity:settings';
+        this.values = { ...DEFAULT_SETTINGS, ...this.read() };
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (!(key in DEFAULT_SETTINGS)) throw new Error(`Unknown setting "${key}"`);
+        if (this.values[key] === value) return;
+        this.values[key] = value;
+        this.write();
+        this.dispatchEvent({ type: 'change', key, value });
+    }
+
+    // Calls `apply` with the current value now and with every change after
+    bind(key, apply) {
+        apply(this.values[key]);
+        this.addEventListener('change', e => {
+            if (e.key === key) apply(e.value);
+        });
+    }
+
+    reset() {
+        for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) this.set(key, value);
+    }
+
+    // Stored values for settings that still exist; unreadable storage counts as empty
+    read() {
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.key)) || {};
+            return Object.fromEntries(Object.entries(stored).filter(([key]) => key in DEFAULT_SETTINGS));
+        } catch (err) {
+            return {};
+        }
+    }
+
+    write() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (err) {
+            console.warn('Failed to store settings:', err);
+        }
+    }
+}
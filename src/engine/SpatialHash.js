@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+/**
+ * Broad phase for the level colliders: a uniform grid over the XZ plane with
+ * each box hashed into every cell it overlaps, so a query only looks at the
+ * boxes near it however many rooms the levels add up to.
+ *
+ * Boxes are addressed by the handle add() returns. Handles stay valid when
+ * other boxes are removed, so a door keeps its handle and drops the box when
+ * it opens. Iterating the hash yields every live box.
+ */
+export class SpatialHash {
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.clear();
+    }
+
+    clear() {
+        this.boxes = [];          // handle → Box3, null once removed
+        this.cells = new Map();   // cell key → handles
+        this.marks = [];          // last query that visited each handle
+        this.stamp = 0;
+        this.size = 0;
+    }
+
+    add(box) {
+        const handle = this.boxes.length;
+        this.boxes.push(box);
+        this.marks.push(0);
+        this.size++;
+        this._forEachCell(box, key => {
+            const cell = this.cells.get(key);
+            if (cell) cell.push(handle);
+            else this.cells.set(key, [handle]);
+        });
+        return handle;
+    }
+
+    remove(handle) {
+        const box = this.boxes[handle];
+        if (!box) return false;
+        this._forEachCell(box, key => {
+            const cell = this.cells.get(key);
+            cell.splice(cell.indexOf(handle), 1);
+            if (cell.length === 0) this.cells.delete(key);
+        });
+        this.boxes[handle] = null;
+        this.size--;
+        return true;
+    }
+
+    get(handle) {
+        return this.boxes[handle] || null;
+    }
+
+    // Calls fn(box, handle) once for each box sharing a cell with `bounds` —
+    // candidates only, fn does the exact test. Stops and returns true as soon
+    // as fn returns true.
+    query(bounds, fn) {
+        if (bounds.isEmpty()) return false;
+        const stamp = ++this.stamp;
+        const [c0, c1, r0, r1] = this._cellRange(bounds);
+        for (let col = c0; col <= c1; col++) {
+            for (let row = r0; row <= r1; row++) {
+                const cell = this.cells.get(cellKey(col, row));
+                if (!cell) continue;
+                for (const handle of cell) {
+                    if (this.marks[handle] === stamp) continue;
+                    this.marks[handle] = stamp;
+                    if (fn(this.boxes[handle], handle)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    intersectsBox(box) {
+        return this.query(box, other => other.intersectsBox(box));
+    }
+
+    // Nearest box hit by `ray` within `far` as { distance, point, box, handle },
+    // or null. Boxes for which filter(box) is false are ignored.
+    raycast(ray, far, filter = null) {
+        _end.copy(ray.direction).multiplyScalar(far).add(ray.origin);
+        _bounds.makeEmpty().expandByPoint(ray.origin).expandByPoint(_end);
+        let nearest = null;
+        this.query(_bounds, (box, handle) => {
+            if ((filter && !filter(box)) || !ray.intersectBox(box, _point)) return false;
+            const distance = _point.distanceTo(ray.origin);
+            if (distance <= far && (!nearest || distance < nearest.distance)) {
+                nearest = { distance, point: _point.clone(), box, handle };
+            }
+            return false;
+        });
+        return nearest;
+    }
+
+    *[Symbol.iterator]() {
+        for (const box of this.boxes) {
+            if (box) yield box;
+        }
+    }
+
+    // ── Cells ──
+    _cellRange(box) {
+        const cs = this.cellSize;
+        return [
+            Math.floor(box.min.x / cs), Math.floor(box.max.x / cs),
+            Math.floor(box.min.z / cs), Math.floor(box.max.z / cs),
+        ];
+    }
+
+    // Empty boxes (never collide) aren't hashed at all
+    _forEachCell(box, fn) {
+        if (box.isEmpty()) return;
+        const [c0, c1, r0, r1] = this._cellRange(box);
+        for (let col = c0; col <= c1; col++) {
+            for (let row = r0; row <= r1; row++) fn(cellKey(col, row));
+        }
+    }
+}
+
+const _end = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _bounds = new THREE.Box3();
+
+// Packs a cell coordinate into one number (±32k cells per axis)
+function cellKey(col, row) {
+    return (col + 32768) * 65536 + (row + 32768);
+}
@@ -5,6 +5,14 @@ import * as THREE from 'three';
  */
 export class TextureFactory {
 
+    // Share of full resolution the materials below are generated at (see
+    // the textureDetail quality knob)
+    static detail = 1;
+
+    static scaled(size) {
+        return Math.max(32, Math.round(size * this.detail));
+    }
+
     static createCanvas(width, height) {
         const canvas = document.createElement('canvas');
         canvas.width = width;
@@ -289,8 +297,8 @@ export class TextureFactory {
     static createConcreteMaterial(options = {}) {
         const { color = [42, 42, 48], roughness = 0.85, metalness = 0.05 } = options;
         return new THREE.MeshStandardMaterial({
-            map: this.concreteTexture(512, 512, color),
-            normalMap: this.concreteNormal(),
+            map: this.concreteTexture(this.scaled(512), this.scaled(512), color),
+            normalMap: this.concreteNormal(this.scaled(512), this.scaled(512)),
             normalScale: new THREE.Vector2(0.5, 0.5),
             roughness,
             metalness,
@@ -301,7 +309,7 @@ export class TextureFactory {
     static createMetalMaterial(options = {}) {
         const { color = [80, 85, 95], roughness = 0.25, metalness = 0.85 } = options;
         return new THREE.MeshStandardMaterial({
-            map: this.metalTexture(256, 256, color),
+            map: this.metalTexture(this.scaled(256), this.scaled(256), color),
             roughness,
             metalness,
         });
@@ -309,8 +317,8 @@ export class TextureFactory {
 
     static createFloorMaterial() {
         return new THREE.MeshStandardMaterial({
-            map: this.floorTexture(),
-            normalMap: this.concreteNormal(),
+            map: this.floorTexture(this.scaled(512), this.scaled(512)),
+            normalMap: this.concreteNormal(this.scaled(512), this.scaled(512)),
             normalScale: new THREE.Vector2(0.3, 0.3),
             roughness: 0.9,
             metalness: 0.05,
@@ -319,7 +327,7 @@ export class TextureFactory {
 
     static createCeilingMaterial() {
         return new THREE.MeshStandardMaterial({
-            map: this.ceilingTexture(),
+            map: this.ceilingTexture(this.scaled(512), this.scaled(512)),
             roughness: 0.95,
             metalness: 0.0,
         });
@@ -327,8 +335,8 @@ export class TextureFactory {
 
     static createExteriorMaterial() {
         return new THREE.MeshStandardMaterial({
-            map: this.exteriorConcreteTexture(),
-            normalMap: this.concreteNormal(),
+            map: this.exteriorConcreteTexture(this.scaled(512), this.scaled(512)),
+            normalMap: this.concreteNormal(this.scaled(512), this.scaled(512)),
             normalScale: new THREE.Vector2(0.6, 0.6),
             roughness: 0.8,
             metalness: 0.1,
@@ -338,7 +346,7 @@ export class TextureFactory {
 
     static createSnowMaterial() {
         return new THREE.MeshStandardMaterial({
-            map: this.snowTexture(),
+            map: this.snowTexture(this.scaled(512), this.scaled(512)),
             roughness: 0.95,
             metalness: 0.0,
         });
@@ -0,0 +1,145 @@
+// Button captions, which double as their prompt labels (see Input.label)
+const LABELS = {
+    interact: 'USE',
+    flashlight: 'LIGHT',
+    sprint: 'RUN',
+    beamMode: 'BEAM',
+    swapBattery: 'CELL',
+    inventory: 'BAG',
+    pause: 'II',
+};
+
+// Phones and tablets: the main pointer is a finger
+export function prefersTouch() {
+    return navigator.maxTouchPoints > 0 && window.matchMedia('(pointer: coarse)').matches;
+}
+
+/**
+ * On-screen controls as an input device, for devices without a pointer to
+ * lock. The left of the screen is a floating stick that centers wherever a
+ * thumb lands, the right turns the view by swiping, and `data-action`
+ * buttons press their action for as long as they're held.
+ *
+ * Each finger is tracked by pointer id, so moving, looking and a button can
+ * all be held at once. Shown while `body.touch-mode` is set (setEnabled).
+ */
+export class TouchInput {
+    constructor(input, root, options = {}) {
+        const {
+            stickRadius = 56, // px of thumb travel for a full tilt
+            lookScale = 0.005, // radians per px swiped, at the default sensitivity
+        } = options;
+
+        this.input = input;
+        this.root = root;
+        this.stickRadius = stickRadius;
+        this.lookScale = lookScale;
+        this.enabled = false;
+        this.stickZone = root.querySelector('.touch-stick-zone');
+        this.stick = root.querySelector('.touch-stick');
+        this.knob = root.querySelector('.touch-stick-knob');
+        this.lookZone = root.querySelector('.touch-look');
+        this.stickPointer = null;
+        this.stickOrigin = { x: 0, y: 0 };
+        this.lookPointer = null;
+        this.lookLast = { x: 0, y: 0 };
+
+        this.stickZone.addEventListener('pointerdown', e => this.stickStart(e));
+        this.stickZone.addEventListener('pointermove', e => this.stickMove(e));
+        for (const type of ['pointerup', 'pointercancel']) {
+            this.stickZone.addEventListener(type, e => this.stickEnd(e));
+            this.lookZone.addEventListener(type, e => {
+                if (e.pointerId === this.lookPointer) this.lookPointer = null;
+            });
+        }
+        this.lookZone.addEventListener('pointerdown', e => this.lookStart(e));
+        this.lookZone.addEventListener('pointermove', e => this.lookMove(e));
+
+        for (const button of root.querySelectorAll('[data-action]')) {
+            const { action } = button.dataset;
+            button.textContent = LABELS[action];
+            button.addEventListener('pointerdown', e => {
+                e.preventDefault();
+                button.setPointerCapture(e.pointerId);
+                button.classList.add('pressed');
+                this.input.press(action, `touch:${action}`, false, this);
+            });
+            for (const type of ['pointerup', 'pointercancel']) {
+                button.addEventListener(type, () => {
+                    button.classList.remove('pressed');
+                    this.input.release(action, `touch:${action}`);
+                });
+            }
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        document.body.classList.toggle('touch-mode', enabled);
+        if (enabled) return;
+        this.stickEnd({ pointerId: this.stickPointer });
+        this.lookPointer = null;
+        for (const button of this.root.querySelectorAll('.pressed')) {
+            button.classList.remove('pressed');
+            this.input.release(button.dataset.action, `touch:${button.dataset.action}`);
+        }
+    }
+
+    stickStart(e) {
+        if (this.stickPointer !== null) return;
+        e.preventDefault();
+        this.stickZone.setPointerCapture(e.pointerId);
+        this.stickPointer = e.pointerId;
+        const zone = this.stickZone.getBoundingClientRect();
+        this.stickOrigin = { x: e.clientX - zone.left, y: e.clientY - zone.top };
+        this.stick.style.left = `${this.stickOrigin.x}px`;
+        this.stick.style.top = `${this.stickOrigin.y}px`;
+        this.stick.classList.add('active');
+        this.stickMove(e);
+    }
+
+    stickMove(e) {
+        if (e.pointerId !== this.stickPointer) return;
+        const zone = this.stickZone.getBoundingClientRect();
+        let x = e.clientX - zone.left - this.stickOrigin.x;
+        let y = e.clientY - zone.top - this.stickOrigin.y;
+        const length = Math.hypot(x, y);
+        if (length > this.stickRadius) {
+            x *= this.stickRadius / length;
+            y *= this.stickRadius / length;
+        }
+        this.knob.style.transform = `translate(${x}px, ${y}px)`;
+        this.input.move.set(x / this.stickRadius, -y / this.stickRadius);
+    }
+
+    // Back to rest, the stick's base where the stylesheet puts it
+    stickEnd(e) {
+        if (e.pointerId !== this.stickPointer) return;
+        this.stickPointer = null;
+        this.input.move.set(0, 0);
+        this.knob.style.transform = '';
+        this.stick.style.left = '';
+        this.stick.style.top = '';
+        this.stick.classList.remove('active');
+    }
+
+    lookStart(e) {
+        if (this.lookPointer !== null) return;
+        e.preventDefault();
+        this.lookZone.setPointerCapture(e.pointerId);
+        this.lookPointer = e.pointerId;
+        this.lookLast = { x: e.clientX, y: e.clientY };
+    }
+
+    lookMove(e) {
+        if (e.pointerId !== this.lookPointer) return;
+        this.input.swipe.x += (e.clientX - this.lookLast.x) * this.lookScale;
+        this.input.swipe.y += (e.clientY - this.lookLast.y) * this.lookScale;
+        this.lookLast = { x: e.clientX, y: e.clientY };
+    }
+
+    // Button caption for an action, for prompts
+    label(action) {
+        return LABELS[action] || null;
+    }
+}
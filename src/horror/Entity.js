@@ -1,6 +1,13 @@
 import * as THREE from 'three';
-
-export function createEntity(scene, camera, audioManager) {
+import { EntityAI } from './EntityAI.js';
+
+/**
+ * The Glitch Entity. Its behaviour (patrol, investigate, chase, search,
+ * retreat) is an EntityAI state machine pathing on the given NavGrid; it
+ * notices the player through Perception — by sight, or by hearing
+ * AudioManager 'noise' events.
+ */
+export function createEntity(scene, camera, audioManager, navGrid, perception, difficulty = 'normal') {
     // ── The Glitch Entity ──
     // A corrupted digital being — the code that came alive during the crash
     const group = new THREE.Group();
@@ -72,23 +79,26 @@ export function createEntity(scene, camera, audioManager) {
     scene.add(group);
 
     // ── Entity AI State ──
+    // Movement and senses live in EntityAI; this module handles when the
+    // entity manifests and how it looks and sounds.
+    const ai = new EntityAI({
+        navGrid,
+        perception,
+        difficulty,
+        patrolPoints: [
+            new THREE.Vector3(10, 0, -3),   // server room aisle
+            new THREE.Vector3(0, 0, -5),    // hallway
+            new THREE.Vector3(-9, 0, -2),   // office bullpen
+            new THREE.Vector3(0, 0, -12),   // hallway end
+            new THREE.Vector3(12, 0, -21),  // server core
+            new THREE.Vector3(-12, 0, -19), // server core
+        ],
+    });
+    ai.position.set(9, 0, -20);
+
     const entityState = {
         active: false,
         activateTime: 45 + Math.random() * 30,
-        position: new THREE.Vector3(9, 0, -20),
-        patrolPoints: [
-            new THREE.Vector3(9, 0, -8),
-            new THREE.Vector3(0, 0, -5),
-            new THREE.Vector3(-9, 0, -5),
-            new THREE.Vector3(0, 0, -12),
-            new THREE.Vector3(12, 0, -21),
-            new THREE.Vector3(-12, 0, -19),
-        ],
-        currentTarget: 0,
-        speed: 2.5,
-        detectionRange: 6,
-        chaseSpeed: 4,
-        chasing: false,
         glitchTimer: 0,
         visibleTimer: 0,
         appearsFor: 3 + Math.random() * 4,
@@ -96,7 +106,36 @@ export function createEntity(scene, camera, audioManager) {
         isShowing: false,
     };
 
-    function update(delta, elapsed, playerPos) {
+    function vanish(hideFor) {
+        entityState.isShowing = false;
+        group.visible = false;
+        entityState.visibleTimer = 0;
+        entityState.hideFor = hideFor;
+        ai.transition('patrol');
+    }
+
+    // ── Hearing ──
+    function onNoise(event) {
+        if (!entityState.active) return;
+        // A loud enough sound draws it out early
+        if (ai.hear(event) && !entityState.isShowing) {
+            entityState.visibleTimer = Math.max(entityState.visibleTimer, entityState.hideFor - 2);
+        }
+    }
+    audioManager.addEventListener('noise', onNoise);
+
+    // Caught the player — it shrieks, then flees (EntityAI 'retreat').
+    // The damage itself is applied by whoever owns the player's vitals.
+    ai.addEventListener('contact', () => {
+        audioManager.playScare();
+        audioManager.playHeartbeat();
+    });
+    ai.addEventListener('retreated', () => vanish(20 + Math.random() * 15));
+
+    const player = { position: new THREE.Vector3(), eye: new THREE.Vector3(), flashlightOn: false };
+
+    // `playerPos` is the player's feet, `playerEye` the camera
+    function update(delta, elapsed, playerPos, playerEye, flashlightOn = false) {
         entityState.activateTime -= delta;
         if (entityState.activateTime > 0) return;
 
@@ -108,11 +147,10 @@ export function createEntity(scene, camera, audioManager) {
         // Visibility cycle — appears and disappears
         entityState.visibleTimer += delta;
         if (entityState.isShowing) {
-            if (entityState.visibleTimer > entityState.appearsFor) {
-                entityState.isShowing = false;
-                entityState.visibleTimer = 0;
-                entityState.hideFor = 10 + Math.random() * 20;
-                group.visible = false;
+            // Never blinks out mid-chase or mid-retreat
+            if (entityState.visibleTimer > entityState.appearsFor &&
+                ai.state !== 'chase' && ai.state !== 'retreat') {
+                vanish(10 + Math.random() * 20);
             }
         } else {
             if (entityState.visibleTimer > entityState.hideFor) {
@@ -120,56 +158,27 @@ export function createEntity(scene, camera, audioManager) {
                 entityState.visibleTimer = 0;
                 entityState.appearsFor = 3 + Math.random() * 5;
                 group.visible = true;
-                // Pick a patrol point near the player
-                const closest = entityState.patrolPoints.reduce((best, pt) => {
-                    return pt.distanceTo(playerPos) < best.distanceTo(playerPos) ? pt : best;
+                // Pick a patrol point near the player — or near whatever it heard
+                const near = ai.heardNoise ? ai.heardNoise.position : playerPos;
+                const closest = ai.patrolPoints.reduce((best, pt) => {
+                    return pt.distanceTo(near) < best.distanceTo(near) ? pt : best;
                 });
-                entityState.position.copy(closest);
+                ai.reset(closest);
                 audioManager.playScare();
             }
         }
 
         if (!entityState.isShowing) return;
 
-        // Move entity
-        const target = entityState.patrolPoints[entityState.currentTarget];
-        const dir = new THREE.Vector3().subVectors(target, entityState.position).normalize();
-        const dist = entityState.position.distanceTo(target);
-
-        if (dist < 1) {
-            entityState.currentTarget = (entityState.currentTarget + 1) % entityState.patrolPoints.length;
-        }
-
-        const playerDist = entityState.position.distanceTo(playerPos);
-        const speed = playerDist < entityState.detectionRange ? entityState.chaseSpeed : entityState.speed;
-
-        if (playerDist < entityState.detectionRange) {
-            // Chase player
-            const chaseDir = new THREE.Vector3().subVectors(playerPos, entityState.position).normalize();
-            entityState.position.add(chaseDir.multiplyScalar(speed * delta));
-            entityState.chasing = true;
-
-            if (playerDist < 2) {
-                audioManager.playScare();
-                audioManager.playHeartbeat();
-                // Scare flash and teleport entity away
-                const flash = document.createElement('div');
-                flash.className = 'damage-flash';
-                document.body.appendChild(flash);
-                setTimeout(() => flash.remove(), 500);
-                entityState.isShowing = false;
-                group.visible = false;
-                entityState.visibleTimer = 0;
-                entityState.hideFor = 20 + Math.random() * 15;
-            }
-        } else {
-            entityState.position.add(dir.multiplyScalar(speed * delta));
-            entityState.chasing = false;
-        }
+        player.position.copy(playerPos);
+        player.eye.copy(playerEye);
+        player.flashlightOn = flashlightOn;
+        ai.update(delta, player);
+        const playerDist = ai.position.distanceTo(playerPos);
 
         // Update mesh
-        group.position.copy(entityState.position);
-        group.lookAt(playerPos.x, entityState.position.y, playerPos.z);
+        group.position.copy(ai.position);
+        group.lookAt(ai.position.x + ai.facing.x, ai.position.y, ai.position.z + ai.facing.z);
 
         // Glitch animation
         entityState.glitchTimer += delta;
@@ -192,5 +201,16 @@ export function createEntity(scene, camera, audioManager) {
         }
     }
 
-    return { update };
+    function dispose() {
+        audioManager.removeEventListener('noise', onNoise);
+        scene.remove(group);
+    }
+
+    // `ai` doubles as the event stream other systems subscribe to
+    return {
+        update,
+        dispose,
+        ai,
+        get visible() { return entityState.isShowing; },
+    };
 }
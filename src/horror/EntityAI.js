@@ -0,0 +1,300 @@
+import * as THREE from 'three';
+
+// Tunables per difficulty. Speeds in m/s (player walks 1.8, sprints 3.2),
+// ranges in metres, times in seconds.
+export const ENTITY_DIFFICULTY = {
+    easy: {
+        patrolSpeed: 2,
+        investigateSpeed: 2.4,
+        chaseSpeed: 3,
+        retreatSpeed: 5,
+        sightScale: 0.75,
+        hearingScale: 0.6,
+        memory: 1,
+        searchDuration: 5,
+        searchRadius: 3,
+        contactRange: 0.9,
+        contactDamage: 25,
+    },
+    normal: {
+        patrolSpeed: 2.5,
+        investigateSpeed: 3,
+        chaseSpeed: 4,
+        retreatSpeed: 5,
+        sightScale: 1,
+        hearingScale: 1,
+        memory: 1.5,
+        searchDuration: 8,
+        searchRadius: 4,
+        contactRange: 1.1,
+        contactDamage: 35,
+    },
+    hard: {
+        patrolSpeed: 3,
+        investigateSpeed: 3.6,
+        chaseSpeed: 4.6,
+        retreatSpeed: 5,
+        sightScale: 1.25,
+        hearingScale: 1.4,
+        memory: 2.5,
+        searchDuration: 12,
+        searchRadius: 6,
+        contactRange: 1.3,
+        contactDamage: 50,
+    },
+};
+
+// Most height between its feet and the player's that still counts as the
+// same floor, so it can't catch anyone through a ceiling
+const CONTACT_HEIGHT = 1;
+
+/**
+ * State machine behind the Glitch Entity's movement. States:
+ *
+ *   patrol      — walk the patrol loop
+ *   investigate — walk to the last noise it heard
+ *   chase       — follow the player while in sight (and briefly after)
+ *   search      — sweep random points around the last known position
+ *   retreat     — after catching the player, flee to the farthest patrol point
+ *
+ * Events dispatched (for music, HUD, HorrorEvents, ...):
+ *   'statechange' { from, to }
+ *   'spotted'     { position }  entered chase
+ *   'lost'        { position }  gave up the chase, searching
+ *   'heard'       { noise }
+ *   'contact'     { damage }    caught the player
+ *   'retreated'   {}            reached its retreat point
+ */
+export class EntityAI extends THREE.EventDispatcher {
+    constructor({ navGrid, perception, patrolPoints, difficulty = 'normal' }) {
+        super();
+        this.navGrid = navGrid;
+        this.perception = perception;
+        this.patrolPoints = patrolPoints;
+        this.currentTarget = 0;
+
+        this.position = new THREE.Vector3();
+        this.facing = new THREE.Vector3(0, 0, 1);
+        this.path = [];
+        this.pathIndex = 0;
+
+        // Senses
+        this.senseTimer = 0;
+        this.seesPlayer = false;
+        this.lastKnown = new THREE.Vector3();
+        this.heardNoise = null;
+
+        this.state = null;
+        this.stateTime = 0;
+        this.timer = 0; // per-state countdown
+
+        this.setDifficulty(difficulty);
+        this.transition('patrol');
+    }
+
+    setDifficulty(name) {
+        this.params = ENTITY_DIFFICULTY[name] || ENTITY_DIFFICULTY.normal;
+    }
+
+    get chasing() {
+        return this.state === 'chase';
+    }
+
+    // Place the agent (it reappears somewhere new) and resume patrolling
+    reset(position) {
+        this.position.copy(position);
+        this.seesPlayer = false;
+        this.senseTimer = 0;
+        this.transition('patrol', true);
+    }
+
+    hear(noise) {
+        if (!this.perception.canHear(this.position, noise, this.params.hearingScale)) return false;
+        this.heardNoise = noise;
+        this.dispatchEvent({ type: 'heard', noise });
+        return true;
+    }
+
+    transition(name, force = false) {
+        const from = this.state;
+        if (name === from && !force) return;
+        const prev = STATES[from];
+        if (prev && prev.exit) prev.exit(this);
+
+        this.state = name;
+        this.stateTime = 0;
+        this.path = [];
+        this.pathIndex = 0;
+        STATES[name].enter(this);
+        if (name !== from) this.dispatchEvent({ type: 'statechange', from, to: name });
+    }
+
+    // `player` is { position, eye, flashlightOn }: feet and eye position
+    update(delta, player) {
+        this.stateTime += delta;
+
+        // Sight is re-checked a few times a second; hearing arrives via hear()
+        this.senseTimer -= delta;
+        if (this.senseTimer <= 0) {
+            this.senseTimer = 0.2;
+            this.seesPlayer = this.perception.canSee(this.position, this.facing, player.eye, {
+                flashlightOn: player.flashlightOn,
+                rangeScale: this.params.sightScale,
+            });
+        }
+
+        if (this.state !== 'retreat') {
+            if (this.seesPlayer) this.lastKnown.copy(player.position);
+
+            const dx = player.position.x - this.position.x;
+            const dz = player.position.z - this.position.z;
+            if (Math.abs(player.position.y - this.position.y) < CONTACT_HEIGHT &&
+                dx * dx + dz * dz < this.params.contactRange * this.params.contactRange) {
+                this.lastKnown.copy(player.position);
+                this.dispatchEvent({ type: 'contact', damage: this.params.contactDamage });
+                this.transition('retreat');
+                return;
+            }
+        }
+
+        const next = STATES[this.state].update(this, delta, player);
+        if (next) this.transition(next);
+
+        if (this.seesPlayer && this.state === 'chase') {
+            // Stare the player down
+            this.facing.set(player.position.x - this.position.x, 0, player.position.z - this.position.z).normalize();
+        }
+    }
+
+    // ── Path following ──
+    setPath(target) {
+        this.path = (target && this.navGrid.findPath(this.position, target)) || [];
+        this.pathIndex = 0;
+    }
+
+    pathDone() {
+        return this.pathIndex >= this.path.length;
+    }
+
+    followPath(distance) {
+        while (distance > 0 && !this.pathDone()) {
+            const waypoint = this.path[this.pathIndex];
+            _step.subVectors(waypoint, this.position);
+            _step.y = 0;
+            const remaining = _step.length();
+            if (remaining > 1e-4) this.facing.copy(_step).divideScalar(remaining);
+            if (remaining <= distance) {
+                this.position.x = waypoint.x;
+                this.position.z = waypoint.z;
+                this.pathIndex++;
+                distance -= remaining;
+            } else {
+                this.position.addScaledVector(_step, distance / remaining);
+                distance = 0;
+            }
+        }
+    }
+}
+
+const _step = new THREE.Vector3();
+
+// Each state's update() returns the name of the state to switch to, if any
+const STATES = {
+    patrol: {
+        enter(ai) {
+            ai.setPath(ai.patrolPoints[ai.currentTarget]);
+        },
+        update(ai, delta) {
+            if (ai.seesPlayer) return 'chase';
+            if (ai.heardNoise) return 'investigate';
+            if (ai.pathDone()) {
+                // Unreachable points (behind closed doors) are simply skipped
+                ai.currentTarget = (ai.currentTarget + 1) % ai.patrolPoints.length;
+                ai.setPath(ai.patrolPoints[ai.currentTarget]);
+            }
+            ai.followPath(ai.params.patrolSpeed * delta);
+        },
+    },
+
+    investigate: {
+        enter(ai) {
+            ai.lastKnown.copy(ai.heardNoise.position);
+            ai.heardNoise = null;
+            ai.setPath(ai.lastKnown);
+        },
+        update(ai, delta) {
+            if (ai.seesPlayer) return 'chase';
+            if (ai.heardNoise) {
+                // Something new — go there instead
+                ai.lastKnown.copy(ai.heardNoise.position);
+                ai.heardNoise = null;
+                ai.setPath(ai.lastKnown);
+            }
+            if (ai.pathDone()) return 'search';
+            ai.followPath(ai.params.investigateSpeed * delta);
+        },
+    },
+
+    chase: {
+        enter(ai) {
+            ai.lostTimer = 0;
+            ai.repathTimer = 0;
+            ai.heardNoise = null;
+            ai.dispatchEvent({ type: 'spotted', position: ai.lastKnown.clone() });
+        },
+        update(ai, delta) {
+            if (ai.seesPlayer) {
+                ai.lostTimer = 0;
+            } else {
+                ai.lostTimer += delta;
+                if (ai.lostTimer > ai.params.memory) {
+                    ai.dispatchEvent({ type: 'lost', position: ai.lastKnown.clone() });
+                    return 'search';
+                }
+            }
+            // Re-plan periodically as the player moves
+            ai.repathTimer -= delta;
+            if (ai.repathTimer <= 0 || ai.pathDone()) {
+                ai.setPath(ai.lastKnown);
+                ai.repathTimer = 0.4;
+            }
+            ai.followPath(ai.params.chaseSpeed * delta);
+        },
+    },
+
+    search: {
+        enter(ai) {
+            ai.timer = ai.params.searchDuration;
+            ai.setPath(ai.lastKnown);
+        },
+        update(ai, delta) {
+            if (ai.seesPlayer) return 'chase';
+            if (ai.heardNoise) return 'investigate';
+            ai.timer -= delta;
+            if (ai.timer <= 0) return 'patrol';
+            if (ai.pathDone()) {
+                ai.setPath(ai.navGrid.randomPointNear(ai.lastKnown, ai.params.searchRadius));
+            }
+            ai.followPath(ai.params.patrolSpeed * delta);
+        },
+    },
+
+    retreat: {
+        enter(ai) {
+            // Farthest patrol point from where the player was caught
+            const far = ai.patrolPoints.reduce((best, pt) => {
+                return pt.distanceTo(ai.lastKnown) > best.distanceTo(ai.lastKnown) ? pt : best;
+            });
+            ai.currentTarget = ai.patrolPoints.indexOf(far);
+            ai.heardNoise = null;
+            ai.setPath(far);
+        },
+        update(ai, delta) {
+            ai.followPath(ai.params.retreatSpeed * delta);
+            if (ai.pathDone()) {
+                ai.dispatchEvent({ type: 'retreated' });
+                return 'patrol';
+            }
+        },
+    },
+};
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Scheduler } from '../engine/Scheduler.js';
 
 export class HorrorEvents {
     constructor(scene, camera, audioManager, state) {
@@ -8,20 +9,14 @@ export class HorrorEvents {
         this.state = state;
         this.triggered = new Set();
         this.flickerOverride = 0;
+        this.suppressed = false; // held back while the entity is chasing
         this.scareTimer = 0;
         this.nextScareTime = 15 + Math.random() * 20;
+        this.timers = new Scheduler(); // follow-ups of a scare, on the events' own clock
         this.whisperZone = new THREE.Vector3(9, 1.7, -5); // server room center
 
-        this.events = [
-            { id: 'lobby_enter', zone: new THREE.Vector3(0, 1.7, 8), radius: 4, type: 'lights_out' },
-            { id: 'hall_midpoint', zone: new THREE.Vector3(0, 1.7, -3), radius: 3, type: 'shadow_figure' },
-            { id: 'office_enter', zone: new THREE.Vector3(-6, 1.7, -3), radius: 3, type: 'door_slam' },
-            { id: 'server_approach', zone: new THREE.Vector3(5, 1.7, -5), radius: 3, type: 'whisper' },
-            { id: 'server_deep', zone: new THREE.Vector3(9, 1.7, -9), radius: 3, type: 'heartbeat' },
-            { id: 'break_room', zone: new THREE.Vector3(-12, 1.7, -19), radius: 4, type: 'tv_scare' },
-            { id: 'basement_enter', zone: new THREE.Vector3(12, 1.7, -16), radius: 3, type: 'lights_out' },
-            { id: 'basement_deep', zone: new THREE.Vector3(12, 1.7, -24), radius: 3, type: 'final_scare' },
-        ];
+        // Zone triggers are declared per chapter — see setEvents()
+        this.events = [];
 
         // Shadow figure mesh (hidden until triggered)
         const shadowMat = new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.85 });
@@ -33,9 +28,23 @@ export class HorrorEvents {
         scene.add(this.shadowFigure);
     }
 
+    // Replace the active zone triggers. Zones are [x, y, z] arrays so
+    // chapters can declare them as plain data.
+    setEvents(events) {
+        this.events = events.map(e => ({ ...e, zone: new THREE.Vector3(...e.zone) }));
+        this.triggered.clear();
+    }
+
+    // Scripted scares wait (zones stay armed) while something else has the player's attention
+    setSuppressed(suppressed) {
+        this.suppressed = suppressed;
+    }
+
     update(delta, elapsed, playerPos) {
+        this.timers.update(delta);
+
         // Check zone triggers
-        for (const event of this.events) {
+        for (const event of this.suppressed ? [] : this.events) {
             if (this.triggered.has(event.id)) continue;
             if (playerPos.distanceTo(event.zone) < event.radius) {
                 this.triggered.add(event.id);
@@ -44,7 +53,7 @@ export class HorrorEvents {
         }
 
         // Random ambient scares
-        this.scareTimer += delta;
+        if (!this.suppressed) this.scareTimer += delta;
         if (this.scareTimer > this.nextScareTime) {
             this.scareTimer = 0;
             this.nextScareTime = 20 + Math.random() * 30;
@@ -147,11 +156,10 @@ export class HorrorEvents {
             this.audio.playDoorSlam();
         } else if (roll < 0.7) {
             // Distant footsteps
-            for (let i = 0; i < 4; i++) {
-                setTimeout(() => {
-                    this.audio._playTone(50 + Math.random() * 30, 0.06, 0.04);
-                }, i * 400);
-            }
+            this.audio._playTone(50 + Math.random() * 30, 0.06, 0.04);
+            this.timers.every(0.4, () => {
+                this.audio._playTone(50 + Math.random() * 30, 0.06, 0.04);
+            }, 3);
         } else {
             this.audio.playHeartbeat();
         }
@@ -161,6 +169,6 @@ export class HorrorEvents {
         const flash = document.createElement('div');
         flash.className = className;
         document.body.appendChild(flash);
-        setTimeout(() => flash.remove(), 500);
+        this.timers.after(0.5, () => flash.remove());
     }
 }
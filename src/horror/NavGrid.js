@@ -0,0 +1,288 @@
+import * as THREE from 'three';
+
+/**
+ * Walkability grid for one floor, generated from the level collider boxes,
+ * with A* pathfinding for the Glitch Entity.
+ *
+ * A cell is blocked when a collider (grown by the agent radius) covers its
+ * center and overlaps the agent's body height band — floor slabs and pipes
+ * overhead don't block. Call rebuild() whenever colliders change (doors
+ * opening remove their boxes).
+ */
+export class NavGrid {
+    constructor(colliders, options) {
+        const {
+            bounds,
+            floorY = 0,
+            cellSize = 0.5,
+            agentRadius = 0.25,
+            agentHeight = 1.9,
+        } = options;
+
+        this.colliders = colliders;
+        this.minX = bounds.minX;
+        this.minZ = bounds.minZ;
+        this.floorY = floorY;
+        this.cellSize = cellSize;
+        this.agentRadius = agentRadius;
+        this.agentHeight = agentHeight;
+        this.cols = Math.ceil((bounds.maxX - bounds.minX) / cellSize);
+        this.rows = Math.ceil((bounds.maxZ - bounds.minZ) / cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+        this.rebuild();
+    }
+
+    rebuild() {
+        this.blocked.fill(0);
+        const cs = this.cellSize;
+        const r = this.agentRadius;
+        const bandMin = this.floorY + 0.3; // step over floor trim and grates
+        const bandMax = this.floorY + this.agentHeight;
+
+        for (const box of this.colliders) {
+            if (box.isEmpty()) continue;
+            if (box.max.y <= bandMin || box.min.y >= bandMax) continue;
+
+            // Cells whose centers fall inside the box grown by the agent radius
+            const c0 = Math.max(0, Math.ceil((box.min.x - r - this.minX) / cs - 0.5));
+            const c1 = Math.min(this.cols - 1, Math.floor((box.max.x + r - this.minX) / cs - 0.5));
+            const r0 = Math.max(0, Math.ceil((box.min.z - r - this.minZ) / cs - 0.5));
+            const r1 = Math.min(this.rows - 1, Math.floor((box.max.z + r - this.minZ) / cs - 0.5));
+            for (let row = r0; row <= r1; row++) {
+                for (let col = c0; col <= c1; col++) {
+                    this.blocked[row * this.cols + col] = 1;
+                }
+            }
+        }
+    }
+
+    // ── Cell helpers ──
+    cellAt(x, z) {
+        const col = Math.floor((x - this.minX) / this.cellSize);
+        const row = Math.floor((z - this.minZ) / this.cellSize);
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+        return row * this.cols + col;
+    }
+
+    cellCenter(idx, target = new THREE.Vector3()) {
+        const col = idx % this.cols;
+        const row = (idx - col) / this.cols;
+        return target.set(
+            this.minX + (col + 0.5) * this.cellSize,
+            this.floorY,
+            this.minZ + (row + 0.5) * this.cellSize
+        );
+    }
+
+    isWalkable(idx) {
+        return idx >= 0 && this.blocked[idx] === 0;
+    }
+
+    isWalkableAt(x, z) {
+        return this.isWalkable(this.cellAt(x, z));
+    }
+
+    contains(position) {
+        return this.cellAt(position.x, position.z) !== -1 &&
+            Math.abs(position.y - this.floorY) < this.agentHeight + 1;
+    }
+
+    // Closest walkable cell by ring search — targets often sit on a desk or
+    // against a wall, and the agent itself may have been placed inside one.
+    nearestWalkable(x, z, maxRadius = 6) {
+        const col = Math.floor((x - this.minX) / this.cellSize);
+        const row = Math.floor((z - this.minZ) / this.cellSize);
+        for (let radius = 0; radius <= maxRadius; radius++) {
+            let best = -1;
+            let bestDist = Infinity;
+            for (let dr = -radius; dr <= radius; dr++) {
+                for (let dc = -radius; dc <= radius; dc++) {
+                    if (Math.max(Math.abs(dr), Math.abs(dc)) !== radius) continue;
+                    const c = col + dc;
+                    const r = row + dr;
+                    if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) continue;
+                    const idx = r * this.cols + c;
+                    const d = dr * dr + dc * dc;
+                    if (this.blocked[idx] === 0 && d < bestDist) {
+                        best = idx;
+                        bestDist = d;
+                    }
+                }
+            }
+            if (best !== -1) return best;
+        }
+        return -1;
+    }
+
+    // Random walkable point within `radius` of center (used for search sweeps)
+    randomPointNear(center, radius, attempts = 12) {
+        for (let i = 0; i < attempts; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * radius;
+            const x = center.x + Math.cos(angle) * dist;
+            const z = center.z + Math.sin(angle) * dist;
+            const idx = this.cellAt(x, z);
+            if (this.isWalkable(idx)) return this.cellCenter(idx);
+        }
+        return null;
+    }
+
+    // ── A* ──
+    // Returns world-space waypoints (y = floorY) from `from` to `to`, or null
+    // when no route exists (e.g. the target is behind a closed door).
+    findPath(from, to) {
+        const start = this.nearestWalkable(from.x, from.z);
+        const goal = this.nearestWalkable(to.x, to.z);
+        if (start === -1 || goal === -1) return null;
+        if (start === goal) return [this.cellCenter(goal)];
+
+        const count = this.cols * this.rows;
+        const g = new Float32Array(count).fill(Infinity);
+        const cameFrom = new Int32Array(count).fill(-1);
+        const closed = new Uint8Array(count);
+        const open = new MinHeap();
+        const goalCol = goal % this.cols;
+        const goalRow = (goal - goalCol) / this.cols;
+
+        const heuristic = (idx) => {
+            const c = idx % this.cols;
+            const dx = Math.abs(c - goalCol);
+            const dz = Math.abs((idx - c) / this.cols - goalRow);
+            // Octile distance
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        g[start] = 0;
+        open.push(start, heuristic(start));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % this.cols;
+            const row = (current - col) / this.cols;
+            for (const [dc, dr, cost] of NEIGHBOURS) {
+                const c = col + dc;
+                const r = row + dr;
+                if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) continue;
+                const next = r * this.cols + c;
+                if (this.blocked[next] || closed[next]) continue;
+                // No corner cutting: both orthogonal cells must be open for a diagonal
+                if (dc !== 0 && dr !== 0 &&
+                    (this.blocked[row * this.cols + c] || this.blocked[r * this.cols + col])) continue;
+
+                const tentative = g[current] + cost;
+                if (tentative < g[next]) {
+                    g[next] = tentative;
+                    cameFrom[next] = current;
+                    open.push(next, tentative + heuristic(next));
+                }
+            }
+        }
+
+        if (cameFrom[goal] === -1) return null;
+
+        const cells = [];
+        for (let idx = goal; idx !== -1; idx = cameFrom[idx]) cells.push(idx);
+        cells.reverse();
+        return this._smooth(cells).map(idx => this.cellCenter(idx));
+    }
+
+    // Greedy string-pulling: skip intermediate cells while a straight line
+    // between waypoints stays on walkable cells.
+    _smooth(cells) {
+        const result = [cells[0]];
+        let anchor = 0;
+        while (anchor < cells.length - 1) {
+            let far = anchor + 1;
+            for (let j = cells.length - 1; j > anchor + 1; j--) {
+                if (this._lineWalkable(cells[anchor], cells[j])) {
+                    far = j;
+                    break;
+                }
+            }
+            result.push(cells[far]);
+            anchor = far;
+        }
+        return result;
+    }
+
+    _lineWalkable(a, b) {
+        const pa = this.cellCenter(a, _lineA);
+        const pb = this.cellCenter(b, _lineB);
+        const dist = pa.distanceTo(pb);
+        const steps = Math.ceil(dist / (this.cellSize * 0.25));
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const x = pa.x + (pb.x - pa.x) * t;
+            const z = pa.z + (pb.z - pa.z) * t;
+            // Sample the agent's width, not just the centerline
+            const r = this.agentRadius * 0.5;
+            if (!this.isWalkableAt(x + r, z + r) || !this.isWalkableAt(x - r, z - r) ||
+                !this.isWalkableAt(x + r, z - r) || !this.isWalkableAt(x - r, z + r)) return false;
+        }
+        return true;
+    }
+}
+
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2],
+];
+
+const _lineA = new THREE.Vector3();
+const _lineB = new THREE.Vector3();
+
+// Binary min-heap keyed by priority (open set for A*)
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this._swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            const n = this.items.length;
+            for (;;) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let smallest = i;
+                if (l < n && this.priorities[l] < this.priorities[smallest]) smallest = l;
+                if (r < n && this.priorities[r] < this.priorities[smallest]) smallest = r;
+                if (smallest === i) break;
+                this._swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    _swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+/**
+ * Senses for the Glitch Entity: sight is a vision cone plus a line-of-sight
+ * ray against the level colliders, hearing consumes the noise events
+ * AudioManager emits (footsteps, door slams, valves).
+ *
+ * The flashlight makes the player far easier to spot — the beam is visible
+ * from longer range and from outside the cone, as long as nothing solid is
+ * in the way. `colliders` is the level SpatialHash.
+ */
+export class Perception {
+    constructor(colliders, options = {}) {
+        const {
+            fov = 100,              // degrees, full cone
+            sightRange = 9,
+            flashlightSightRange = 16,
+            flashlightFov = 220,    // the beam catches its eye from the side too
+            proximityRange = 1.5,   // sensed regardless of facing
+            eyeHeight = 1.8,
+            wallMuffling = 0.5,     // hearing radius multiplier through walls
+        } = options;
+
+        this.colliders = colliders;
+        this.cosHalfFov = Math.cos(THREE.MathUtils.degToRad(fov / 2));
+        this.cosHalfFlashlightFov = Math.cos(THREE.MathUtils.degToRad(Math.min(flashlightFov, 360) / 2));
+        this.sightRange = sightRange;
+        this.flashlightSightRange = flashlightSightRange;
+        this.proximityRange = proximityRange;
+        this.eyeHeight = eyeHeight;
+        this.wallMuffling = wallMuffling;
+    }
+
+    // Straight segment from a to b hits no collider (only boxes near the
+    // segment's bounds are tested)
+    hasLineOfSight(a, b) {
+        _dir.subVectors(b, a);
+        const length = _dir.length();
+        if (length < 1e-4) return true;
+        _ray.set(a, _dir.divideScalar(length));
+        _bounds.makeEmpty().expandByPoint(a).expandByPoint(b);
+        return !this.colliders.query(_bounds, box => {
+            if (box.containsPoint(a) || box.containsPoint(b)) return false;
+            return _ray.intersectBox(box, _hit) !== null && _hit.distanceTo(a) < length;
+        });
+    }
+
+    // `position` is the agent's feet, `facing` its horizontal look direction,
+    // `target` the player's eye position. `rangeScale` tunes sight per difficulty.
+    canSee(position, facing, target, { flashlightOn = false, rangeScale = 1 } = {}) {
+        _eye.copy(position);
+        _eye.y += this.eyeHeight;
+        _toTarget.subVectors(target, _eye);
+        const dist = _toTarget.length();
+
+        const range = (flashlightOn ? this.flashlightSightRange : this.sightRange) * rangeScale;
+        if (dist > range) return false;
+
+        if (dist > this.proximityRange) {
+            _toTarget.y = 0;
+            _toTarget.normalize();
+            const cos = _toTarget.dot(facing);
+            const cosLimit = flashlightOn ? this.cosHalfFlashlightFov : this.cosHalfFov;
+            if (cos < cosLimit) return false;
+        }
+
+        return this.hasLineOfSight(_eye, target);
+    }
+
+    // Noise events are { position, radius, source }; walls muffle the radius
+    canHear(position, noise, rangeScale = 1) {
+        _eye.copy(position);
+        _eye.y += this.eyeHeight;
+        const radius = noise.radius * rangeScale;
+        const dist = _eye.distanceTo(noise.position);
+        if (dist > radius) return false;
+        if (dist <= radius * this.wallMuffling) return true;
+        return this.hasLineOfSight(_eye, noise.position);
+    }
+}
+
+const _ray = new THREE.Ray();
+const _dir = new THREE.Vector3();
+const _hit = new THREE.Vector3();
+const _bounds = new THREE.Box3();
+const _eye = new THREE.Vector3();
+const _toTarget = new THREE.Vector3();
@@ -0,0 +1,29 @@
+/**
+ * Door access rules, shared by every door in the level files.
+ *
+ * A door's `access` asks for a clearance level (1–10), a specific item, or
+ * both: { clearance: 5 } / { item: 'keycard_10' }. Keycards carry the
+ * clearance they grant in their item definition (see Items.js) and a higher
+ * card opens every lower door. A door `locked` from a door terminal stays
+ * shut whatever the player carries.
+ */
+
+// Highest clearance among the items carried (0 without a card)
+export function clearanceOf(inventory) {
+    return inventory.slots.reduce((best, slot) => Math.max(best, inventory.definition(slot.item).clearance || 0), 0);
+}
+
+// true if the player may open the door, otherwise why not — shown as the
+// denial hint
+export function checkAccess(door, inventory) {
+    if (door.locked) return door.lockedHint || 'LOCKED — Sealed from a security terminal';
+    const { access } = door;
+    if (!access) return true;
+    if (access.clearance && clearanceOf(inventory) < access.clearance) {
+        return door.deniedHint || `LOCKED — Level ${access.clearance} clearance required`;
+    }
+    if (access.item && !inventory.has(access.item)) {
+        return door.deniedHint || `LOCKED — ${inventory.definition(access.item).name} required`;
+    }
+    return true;
+}
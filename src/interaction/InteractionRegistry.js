@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+
+/**
+ * What happens when the player uses an interactable, looked up by its
+ * `userData.type`. Each type registers a definition (see Interactions.js):
+ *
+ *   prompt       text shown while aimed at it, or (object, game) → text;
+ *                defaults to the level file's `prompt`
+ *   canInteract  (object, game) → true to go ahead, false to do nothing, or
+ *                a message shown as a hint when the player is turned away
+ *   interact     (object, game) — returning false means it didn't happen
+ *   sound        name passed to game.playSound() when it runs
+ *   hold         seconds the key has to be held down first
+ *   cooldown     seconds before the same object answers again
+ *   steps        definitions used in turn, each merged over the base one;
+ *                `userData.step` is the next one and the last one repeats
+ *
+ * Definitions get the same game context as chapter hooks. Types can be
+ * registered from anywhere, so a new interactable only needs a level entry
+ * and a definition.
+ *
+ * Events dispatched:
+ *   'interact' { object, interaction }           an interaction ran
+ *   'refused'  { object, interaction, reason }   canInteract turned the player away
+ *   'hold'     { object, progress }              while the key is held (0..1);
+ *                                                object is null once it ends
+ */
+export class InteractionRegistry extends THREE.EventDispatcher {
+    constructor(game) {
+        super();
+        this.game = game;
+        this.types = new Map();
+        this.cooldowns = new Map(); // object → seconds left
+        this.holding = null;        // { object, definition, time }
+    }
+
+    register(type, definition) {
+        if (this.types.has(type)) throw new Error(`Interaction "${type}" is already registered`);
+        this.types.set(type, definition);
+        return this;
+    }
+
+    registerAll(definitions) {
+        for (const [type, definition] of Object.entries(definitions)) this.register(type, definition);
+        return this;
+    }
+
+    // The definition for the object's current step, or null if its type
+    // isn't registered
+    definition(object) {
+        const base = this.types.get(object.userData.type);
+        if (!base || !base.steps) return base || null;
+        const step = Math.min(object.userData.step || 0, base.steps.length - 1);
+        return { ...base, ...base.steps[step] };
+    }
+
+    // { text, hold } for the interaction prompt
+    prompt(object) {
+        const def = this.definition(object);
+        const prompt = def && def.prompt;
+        const text = typeof prompt === 'function' ? prompt(object, this.game) : prompt;
+        return { text: text || object.userData.promptText || 'Interact', hold: !!(def && def.hold) };
+    }
+
+    // Interact key pressed while aiming at `object`
+    begin(object) {
+        const def = this.definition(object);
+        if (!def || this.cooldowns.has(object) || this.holding) return;
+
+        const allowed = def.canInteract ? def.canInteract(object, this.game) : true;
+        if (allowed !== true) {
+            if (typeof allowed === 'string') {
+                this.game.showHint(allowed);
+                this.game.playSound('denied');
+                this.dispatchEvent({ type: 'refused', object, interaction: object.userData.type, reason: allowed });
+            }
+            if (def.cooldown) this.cooldowns.set(object, def.cooldown);
+            return;
+        }
+
+        if (def.hold) {
+            this.holding = { object, definition: def, time: 0 };
+            this.dispatchEvent({ type: 'hold', object, progress: 0 });
+        } else {
+            this.run(object, def);
+        }
+    }
+
+    // Interact key released — an unfinished hold is dropped
+    end() {
+        if (!this.holding) return;
+        this.holding = null;
+        this.dispatchEvent({ type: 'hold', object: null, progress: 0 });
+    }
+
+    // `target` is what the player is aiming at; a hold breaks off when the
+    // player looks away
+    update(delta, target) {
+        for (const [object, left] of this.cooldowns) {
+            if (left <= delta) this.cooldowns.delete(object);
+            else this.cooldowns.set(object, left - delta);
+        }
+
+        if (!this.holding) return;
+        const { object, definition } = this.holding;
+        if (target !== object) {
+            this.end();
+            return;
+        }
+        this.holding.time += delta;
+        const progress = Math.min(this.holding.time / definition.hold, 1);
+        this.dispatchEvent({ type: 'hold', object, progress });
+        if (progress < 1) return;
+        this.end();
+        this.run(object, definition);
+    }
+
+    // Forget cooldowns and holds (the world was rebuilt)
+    reset() {
+        this.cooldowns.clear();
+        this.end();
+    }
+
+    run(object, def) {
+        const { type } = object.userData;
+        if (def.interact(object, this.game) === false) return;
+        if (def.sound) this.game.playSound(def.sound);
+        const { steps } = this.types.get(type);
+        if (steps) object.userData.step = Math.min((object.userData.step || 0) + 1, steps.length - 1);
+        if (def.cooldown) this.cooldowns.set(object, def.cooldown);
+        this.dispatchEvent({ type: 'interact', object, interaction: type });
+    }
+}
@@ -0,0 +1,118 @@
+import { checkAccess } from './Access.js';
+
+/**
+ * Interaction definitions by interactable type, consumed by
+ * InteractionRegistry (see there for the fields).
+ *
+ * Hooks receive the game context built in main.js; besides what chapters
+ * use they reach the player, inventory, flashlight, openNote, collect,
+ * hidePickup, checkpoint, playSound, setDoorLocked, useCharger and the door,
+ * valve and hatch animations.
+ */
+
+// Notes, terminals and tapes open in the note viewer, count as found and
+// are kept as documents in the inventory
+function read(obj, g) {
+    const { id, content, title } = obj.userData;
+    g.openNote(content);
+    g.collect(id);
+    g.inventory.add('document', 1, { id, title: title || documentTitle(content), content });
+}
+
+// First line of the text, without terminal prompt marks
+function documentTitle(content) {
+    const line = content.split('\n').find(l => l.trim()) || 'Untitled';
+    return line.replace(/^[>\s]+/, '').slice(0, 40);
+}
+
+export const INTERACTIONS = {
+    note: { interact: read },
+    terminal: { sound: 'terminal', interact: read },
+    vhs: { sound: 'static', interact: read },
+    final_terminal: {
+        sound: 'terminal',
+        interact(obj, g) {
+            read(obj, g);
+            g.state.finalTerminalRead = true;
+            // Lockdown cinematic plays once the note is closed
+            g.state.pendingCinematic = true;
+        },
+    },
+
+    // Goes into the inventory: data { item, count }
+    pickup: {
+        sound: 'click',
+        interact(obj, g) {
+            const { item, count = 1 } = obj.userData;
+            const { name } = g.inventory.definition(item);
+            g.inventory.add(item, count);
+            g.hidePickup(obj);
+            g.showHint(count > 1 ? `${name} ×${count} acquired` : `${name} acquired`);
+            g.checkpoint(name);
+        },
+    },
+
+    // Opens for anyone with the access it asks for (see Access.js)
+    door: {
+        cooldown: 1,
+        canInteract: (obj, g) => !obj.userData.opened && checkAccess(obj.userData, g.inventory),
+        interact: (obj, g) => g.openDoor(obj.userData),
+    },
+
+    // Locks or unlocks the linked `doors` — data { action: 'lock' | 'unlock' | 'toggle' },
+    // for whoever has its own `access`; the level file's prompt names it
+    door_terminal: {
+        sound: 'terminal',
+        cooldown: 1,
+        canInteract(obj, g) {
+            if (obj.userData.doors.every(door => door.userData.opened)) return 'The door is already open';
+            return checkAccess(obj.userData, g.inventory);
+        },
+        prompt(obj) {
+            const { doors, action = 'toggle', promptText } = obj.userData;
+            const lock = action === 'toggle' ? !doors[0].userData.locked : action === 'lock';
+            const verb = lock ? 'Lock Door' : 'Unlock Door';
+            return promptText ? `${promptText} — ${verb}` : verb;
+        },
+        interact(obj, g) {
+            const { doors, action = 'toggle' } = obj.userData;
+            const lock = action === 'toggle' ? !doors[0].userData.locked : action === 'lock';
+            doors.forEach(door => g.setDoorLocked(door.userData, lock));
+            g.showHint(lock ? 'DOOR LOCKED' : 'DOOR UNLOCKED');
+        },
+    },
+
+    // Wall charging station — the flashlight sits in the cradle for a moment
+    charger: {
+        hold: 2,
+        sound: 'click',
+        canInteract(obj, g) {
+            if (obj.userData.charges === 0) return 'The charging station is drained';
+            return !g.flashlight.full || 'Flashlight is already fully charged';
+        },
+        interact: (obj, g) => g.useCharger(obj.userData),
+    },
+
+    // Stiff old wheel — has to be held to turn
+    valve: {
+        hold: 1.2,
+        canInteract: obj => !obj.userData.turned,
+        interact: (obj, g) => g.turnValve(obj.userData),
+    },
+
+    // Opened once, then climbed down from the top
+    hatch: {
+        canInteract: (obj, g) => g.state.finalTerminalRead || 'The hatch is sealed shut',
+        steps: [
+            {
+                prompt: 'Open Maintenance Hatch',
+                interact: (obj, g) => g.openHatch(obj.userData),
+            },
+            {
+                prompt: 'Climb Down',
+                canInteract: (obj, g) => g.player.position.y > -2,
+                interact: (obj, g) => g.climbDownHatch(),
+            },
+        ],
+    },
+};
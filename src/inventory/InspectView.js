@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { TextureFactory } from '../engine/TextureFactory.js';
+
+/**
+ * Turntable view of one item for the inventory screen. It draws with a small
+ * renderer of its own into `canvas`, and only while an item is shown.
+ * Dragging turns the model and the wheel zooms in close enough to read the
+ * labels printed on it. Models are built from the item definition
+ * (see Items.js).
+ */
+export class InspectView {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.renderer = null; // created on first show()
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(35, 1, 0.01, 20);
+        this.model = null;
+        this.radius = 1;     // bounding sphere of the model
+        this.turn = new THREE.Euler();
+        this.zoom = 1;
+        this.spinning = true; // idle spin until the player first grabs it
+        this.drag = null;     // last pointer position while dragging
+        this.frame = null;
+
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+        const key = new THREE.DirectionalLight(0xffffff, 1.6);
+        key.position.set(1, 1.5, 2);
+        const rim = new THREE.DirectionalLight(0x88aaff, 0.6);
+        rim.position.set(-2, -1, -1);
+        this.scene.add(key, rim);
+
+        this.onPointerDown = e => {
+            this.drag = { x: e.clientX, y: e.clientY };
+            this.spinning = false;
+            canvas.setPointerCapture(e.pointerId);
+        };
+        this.onPointerMove = e => {
+            if (!this.drag) return;
+            this.turn.y += (e.clientX - this.drag.x) * 0.01;
+            this.turn.x = THREE.MathUtils.clamp(this.turn.x + (e.clientY - this.drag.y) * 0.01, -1.4, 1.4);
+            this.drag.x = e.clientX;
+            this.drag.y = e.clientY;
+        };
+        this.onPointerUp = () => { this.drag = null; };
+        this.onWheel = e => {
+            e.preventDefault();
+            this.zoom = THREE.MathUtils.clamp(this.zoom * (e.deltaY > 0 ? 1.1 : 0.9), 0.3, 2);
+        };
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerup', this.onPointerUp);
+        canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    }
+
+    // `data` is the slot's data (documents)
+    show(def, data = null) {
+        this.clearModel();
+        if (!this.renderer) {
+            this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true, alpha: true });
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+            this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        }
+        const { clientWidth: width, clientHeight: height } = this.canvas;
+        this.renderer.setSize(width, height, false);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        this.model = MODELS[def.model](def, data);
+        this.scene.add(this.model);
+        this.radius = new THREE.Box3().setFromObject(this.model).getBoundingSphere(new THREE.Sphere()).radius;
+        this.turn.set(0.2, -0.4, 0);
+        this.zoom = 1;
+        this.spinning = true;
+        if (this.frame === null) this.loop();
+    }
+
+    hide() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.drag = null;
+        this.clearModel();
+    }
+
+    dispose() {
+        this.hide();
+        this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+        this.canvas.removeEventListener('pointermove', this.onPointerMove);
+        this.canvas.removeEventListener('pointerup', this.onPointerUp);
+        this.canvas.removeEventListener('wheel', this.onWheel);
+        if (this.renderer) this.renderer.dispose();
+    }
+
+    loop() {
+        this.frame = requestAnimationFrame(() => this.loop());
+        if (this.spinning) this.turn.y += 0.004;
+        this.model.rotation.copy(this.turn);
+        const fit = this.radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        this.camera.position.set(0, 0, fit * this.zoom);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    clearModel() {
+        if (!this.model) return;
+        this.scene.remove(this.model);
+        this.model.traverse(child => {
+            if (!child.isMesh) return;
+            child.geometry.dispose();
+            for (const m of [].concat(child.material)) {
+                if (m.map) m.map.dispose();
+                m.dispose();
+            }
+        });
+        this.model = null;
+    }
+}
+
+// ── Models ──
+// Built centered on the origin, front facing +z
+const MODELS = {
+    // ID card: printed front, magnetic stripe on the back
+    card(def) {
+        const front = labelTexture(600, 400, (ctx, w, h) => {
+            ctx.fillStyle = def.color;
+            ctx.fillRect(0, 0, w, h);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(0, 0, w, 90);
+            ctx.fillStyle = '#e8e8e8';
+            ctx.fillRect(40, 130, 130, 160); // photo
+            ctx.fillStyle = '#bbb';
+            ctx.fillRect(70, 155, 70, 80);
+            printLines(ctx, def.labels, 200, 52, { size: 26, lineHeight: 70, color: '#fff' });
+        });
+        const back = labelTexture(600, 400, (ctx, w, h) => {
+            ctx.fillStyle = def.color;
+            ctx.fillRect(0, 0, w, h);
+            ctx.fillStyle = '#111';
+            ctx.fillRect(0, 60, w, 80);
+            printLines(ctx, ['IF FOUND RETURN TO SECURITY DESK'], 30, 240, { size: 20, color: 'rgba(0, 0, 0, 0.7)' });
+        });
+        const edge = new THREE.MeshStandardMaterial({ color: def.color, roughness: 0.4 });
+        return new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.1, 0.003), [
+            edge, edge, edge, edge,
+            new THREE.MeshStandardMaterial({ map: front, roughness: 0.35, metalness: 0.2 }),
+            new THREE.MeshStandardMaterial({ map: back, roughness: 0.5 }),
+        ]);
+    },
+
+    // D cell with a printed wrapper and a positive terminal on top
+    battery(def) {
+        const wrapper = labelTexture(512, 256, (ctx, w, h) => {
+            ctx.fillStyle = def.color;
+            ctx.fillRect(0, 0, w, h);
+            ctx.fillStyle = '#c8a000';
+            ctx.fillRect(0, 0, w, 40);
+            // Centered on u = 0.5, which the mesh turns towards the viewer
+            printLines(ctx, def.labels, w / 2, 90, { size: 34, lineHeight: 52, color: '#eee', align: 'center' });
+        });
+        const metal = new THREE.MeshStandardMaterial({ color: 0xaaaaaa, metalness: 0.9, roughness: 0.3 });
+        const model = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.017, 0.017, 0.061, 32), [
+            new THREE.MeshStandardMaterial({ map: wrapper, roughness: 0.5 }), metal, metal,
+        ]);
+        body.rotation.y = Math.PI;
+        const terminal = new THREE.Mesh(new THREE.CylinderGeometry(0.005, 0.005, 0.003, 16), metal.clone());
+        terminal.position.y = 0.032;
+        model.add(body, terminal);
+        return model;
+    },
+
+    // Sheet of paper with the document typed on the front
+    paper(def, data) {
+        const page = labelTexture(724, 1024, (ctx, w, h) => {
+            ctx.fillStyle = def.color;
+            ctx.fillRect(0, 0, w, h);
+            const lines = data ? wrapText(ctx, data.content, w - 100, '22px "Special Elite", monospace') : [];
+            printLines(ctx, lines.slice(0, 32), 50, 70, {
+                size: 22, lineHeight: 29, color: '#2a2418', font: '"Special Elite", monospace',
+            });
+        });
+        const model = new THREE.Group();
+        const front = new THREE.Mesh(new THREE.PlaneGeometry(0.21, 0.297),
+            new THREE.MeshStandardMaterial({ map: page, roughness: 0.9 }));
+        const back = new THREE.Mesh(new THREE.PlaneGeometry(0.21, 0.297),
+            new THREE.MeshStandardMaterial({ color: def.color, roughness: 0.9 }));
+        back.rotation.y = Math.PI;
+        model.add(front, back);
+        return model;
+    },
+};
+
+// ── Labels ──
+function labelTexture(width, height, draw) {
+    const canvas = TextureFactory.createCanvas(width, height);
+    draw(canvas.getContext('2d'), width, height);
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.colorSpace = THREE.SRGBColorSpace;
+    tex.anisotropy = 4;
+    return tex;
+}
+
+function printLines(ctx, lines, x, y, { size, lineHeight = size * 1.4, color, align = 'left', font = '"Share Tech Mono", monospace' }) {
+    ctx.font = `${size}px ${font}`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => ctx.fillText(line, x, y + i * lineHeight));
+}
+
+// Splits `text` into lines no wider than `width`, keeping its line breaks
+function wrapText(ctx, text, width, font) {
+    ctx.font = font;
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            const next = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(next).width > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = next;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+/**
+ * What the player carries, as slots of { item, count, data } in pickup order.
+ * Items are ids into the definitions passed in (see Items.js); stackable
+ * items fill up existing slots before starting new ones. Slots are plain
+ * JSON, so toJSON()/load() round-trip through save files.
+ *
+ * Events dispatched:
+ *   'change' { item, count }   count of item added (negative when removed)
+ */
+export class Inventory extends THREE.EventDispatcher {
+    constructor(items) {
+        super();
+        this.items = items;
+        this.slots = [];
+    }
+
+    definition(item) {
+        const def = this.items[item];
+        if (!def) throw new Error(`Unknown item "${item}"`);
+        return def;
+    }
+
+    // Items carrying `data` (documents) get a slot each, once per data.id.
+    // Returns how many were added.
+    add(item, count = 1, data = null) {
+        const { stack = 1 } = this.definition(item);
+        if (data) {
+            if (this.slots.some(slot => slot.item === item && slot.data && slot.data.id === data.id)) return 0;
+            this.slots.push({ item, count: 1, data });
+            this.dispatchEvent({ type: 'change', item, count: 1 });
+            return 1;
+        }
+
+        let left = count;
+        for (const slot of this.slots) {
+            if (slot.item !== item || slot.data || left === 0) continue;
+            const moved = Math.min(stack - slot.count, left);
+            slot.count += moved;
+            left -= moved;
+        }
+        while (left > 0) {
+            const moved = Math.min(stack, left);
+            this.slots.push({ item, count: moved, data: null });
+            left -= moved;
+        }
+        this.dispatchEvent({ type: 'change', item, count });
+        return count;
+    }
+
+    // Takes from the newest slots first. Returns how many were removed.
+    remove(item, count = 1) {
+        let left = count;
+        for (let i = this.slots.length - 1; i >= 0 && left > 0; i--) {
+            const slot = this.slots[i];
+            if (slot.item !== item) continue;
+            const moved = Math.min(slot.count, left);
+            slot.count -= moved;
+            left -= moved;
+            if (slot.count === 0) this.slots.splice(i, 1);
+        }
+        const removed = count - left;
+        if (removed > 0) this.dispatchEvent({ type: 'change', item, count: -removed });
+        return removed;
+    }
+
+    count(item) {
+        return this.slots.reduce((sum, slot) => sum + (slot.item === item ? slot.count : 0), 0);
+    }
+
+    has(item) {
+        return this.count(item) > 0;
+    }
+
+    // Slots of one category, in pickup order
+    byCategory(category) {
+        return this.slots.filter(slot => this.definition(slot.item).category === category);
+    }
+
+    clear() {
+        this.slots = [];
+    }
+
+    toJSON() {
+        return this.slots.map(slot => ({ ...slot }));
+    }
+
+    // Replace the contents with saved slots; unknown items (removed from
+    // Items.js since) are dropped
+    load(slots = []) {
+        this.slots = slots.filter(slot => slot.item in this.items).map(slot => ({ ...slot }));
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Item definitions consumed by Inventory and InspectView.
+ *
+ *   name         shown in the inventory list and pickup hints
+ *   category     one of CATEGORIES — the inventory screen groups by it
+ *   description  shown beside the inspect view
+ *   stack        how many share one slot (default 1)
+ *   model        inspect model: 'card', 'battery' or 'paper'
+ *   color        body color of the model
+ *   labels       lines printed on the front of the model, top to bottom
+ *   clearance    door clearance a keycard grants (see Access.js)
+ *
+ * Documents are one item: each read note, terminal or tape is its own slot
+ * carrying { id, title, content } (see Inventory.add).
+ */
+export const ITEMS = {
+    keycard_5: {
+        name: 'Level 5 Access Card',
+        category: 'key',
+        description: 'Security access card. Opens the server core wing.',
+        clearance: 5,
+        model: 'card',
+        color: '#00cc44',
+        labels: ['CAISTER VELOCITY', 'SECURITY ACCESS', 'LEVEL 5', 'ID 0451-SRV'],
+    },
+    keycard_10: {
+        name: 'Level 10 Emergency Keycard',
+        category: 'key',
+        description: 'Emergency override card. Opens the escape stairwell.',
+        clearance: 10,
+        model: 'card',
+        color: '#ff4400',
+        labels: ['CAISTER VELOCITY', 'EMERGENCY OVERRIDE', 'LEVEL 10', 'AUTHORIZED PERSONNEL ONLY'],
+    },
+    battery: {
+        name: 'Battery',
+        category: 'battery',
+        description: 'Spare cell for the flashlight.',
+        stack: 4,
+        model: 'battery',
+        color: '#2a2a2a',
+        labels: ['VOLTCORE', 'ALKALINE', 'D · 1.5V'],
+    },
+    document: {
+        name: 'Document',
+        category: 'document',
+        description: '',
+        model: 'paper',
+        color: '#d4c9a8',
+    },
+};
+
+export const CATEGORIES = [
+    { id: 'key', name: 'Keycards' },
+    { id: 'battery', name: 'Batteries' },
+    { id: 'document', name: 'Documents' },
+];
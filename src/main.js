@@ -4,42 +4,73 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
-import { buildLegacyHQ } from './world/LegacyHQ.js';
-import { buildCoolingTunnels } from './world/CoolingTunnels.js';
-import { buildSecretLab } from './world/SecretLab.js';
-import { buildRooftop } from './world/Rooftop.js';
+import { loadLevel } from './world/LevelLoader.js';
+import legacyHQLevel from './world/levels/legacy_hq.json';
+import coolingTunnelsLevel from './world/levels/cooling_tunnels.json';
+import secretLabLevel from './world/levels/secret_lab.json';
+import rooftopLevel from './world/levels/rooftop.json';
 import { createBlizzard } from './world/Blizzard.js';
 import { setupLighting } from './world/Lighting.js';
+import { updateUVBeam } from './world/Decals.js';
 import { HorrorEvents } from './horror/HorrorEvents.js';
 import { createEntity } from './horror/Entity.js';
+import { NavGrid } from './horror/NavGrid.js';
+import { Perception } from './horror/Perception.js';
 import { AudioManager } from './engine/AudioManager.js';
 import { StoryManager } from './narrative/StoryManager.js';
+import { ChapterManager } from './narrative/ChapterManager.js';
+import { CHAPTERS } from './narrative/Chapters.js';
+import { CinematicPlayer } from './narrative/CinematicPlayer.js';
+import { CINEMATICS } from './narrative/Cinematics.js';
+import { InteractionRegistry } from './interaction/InteractionRegistry.js';
+import { INTERACTIONS } from './interaction/Interactions.js';
+import { Inventory } from './inventory/Inventory.js';
+import { InspectView } from './inventory/InspectView.js';
+import { ITEMS, CATEGORIES } from './inventory/Items.js';
+import { SaveManager } from './engine/SaveManager.js';
+import { Settings, DEFAULT_SETTINGS } from './engine/Settings.js';
+import { resolveQuality, QUALITY_KNOBS } from './engine/Quality.js';
+import { TextureFactory } from './engine/TextureFactory.js';
+import { PerformanceGovernor } from './engine/PerformanceGovernor.js';
+import { Input, ACTIONS, keyLabel } from './engine/Input.js';
+import { GamepadInput } from './engine/GamepadInput.js';
+import { MenuNavigator } from './engine/MenuNavigator.js';
+import { TouchInput, prefersTouch } from './engine/TouchInput.js';
+import { Scheduler } from './engine/Scheduler.js';
+import { SpatialHash } from './engine/SpatialHash.js';
+import { PlayerVitals } from './player/PlayerVitals.js';
+import { CharacterController } from './player/CharacterController.js';
+import { Flashlight } from './player/Flashlight.js';
 
 // ── Game State ──
 const state = {
     playing: false,
     paused: false,
     noteOpen: false,
-    flashlightOn: true,
-    battery: 100,
-    sensitivity: 5,
-    volume: 70,
-    quality: 'high',
-    moveForward: false,
-    moveBackward: false,
-    moveLeft: false,
-    moveRight: false,
-    sprinting: false,
+    inventoryOpen: false,
+    cutscene: false, // player held still while a scripted sequence plays
     velocity: new THREE.Vector3(),
     direction: new THREE.Vector3(),
     clock: new THREE.Clock(),
     playerHeight: 1.7,
     walkSpeed: 1.8,   // Slow horror-game pace
     sprintSpeed: 3.2,  // Slightly faster but still tense
+    lookSpeed: 2.5,    // stick turn rate (rad/s) at full tilt and default sensitivity
     collectiblesFound: 0,
     chapter: 1,
+    finalTerminalRead: false,
+    pendingCinematic: false,
+    valvesTurned: 0,
+    enteredTunnels: false,
+    editing: false,
 };
 
+// Progress fields written to save slots — everything else is session/input state
+const PERSISTED_STATE_KEYS = [
+    'chapter', 'collectiblesFound',
+    'finalTerminalRead', 'valvesTurned', 'enteredTunnels',
+];
+
 // ── DOM References ──
 const dom = {
     loadingScreen: document.getElementById('loading-screen'),
@@ -47,24 +78,127 @@ const dom = {
     loadingText: document.getElementById('loading-text'),
     titleScreen: document.getElementById('title-screen'),
     settingsOverlay: document.getElementById('settings-overlay'),
+    settingInputs: {
+        sensitivity: document.getElementById('sensitivity'),
+        volume: document.getElementById('volume'),
+        quality: document.getElementById('quality'),
+        difficulty: document.getElementById('difficulty'),
+        dynamicResolution: document.getElementById('dynamic-resolution'),
+        targetFps: document.getElementById('target-fps'),
+        performanceHud: document.getElementById('performance-hud'),
+        stickDeadzone: document.getElementById('stick-deadzone'),
+        stickCurve: document.getElementById('stick-curve'),
+        vibration: document.getElementById('vibration'),
+        touchControls: document.getElementById('touch-controls-mode'),
+    },
+    perfHud: document.getElementById('perf-hud'),
+    customQuality: document.getElementById('custom-quality'),
+    keyBindings: document.getElementById('key-bindings'),
+    bindingNote: document.getElementById('binding-note'),
     gameHud: document.getElementById('game-hud'),
     noteViewer: document.getElementById('note-viewer'),
     noteContent: document.getElementById('note-content'),
     btnCloseNote: document.getElementById('btn-close-note'),
+    inventoryOverlay: document.getElementById('inventory-overlay'),
+    inventoryList: document.getElementById('inventory-list'),
+    inspectCanvas: document.getElementById('inspect-canvas'),
+    inspectName: document.getElementById('inspect-name'),
+    inspectDescription: document.getElementById('inspect-description'),
+    inventoryKey: document.getElementById('inventory-key'),
     pauseMenu: document.getElementById('pause-menu'),
     container: document.getElementById('game-container'),
     crosshair: document.getElementById('crosshair'),
     batteryBar: document.getElementById('battery-bar'),
+    batterySpares: document.getElementById('battery-spares'),
+    beamMode: document.getElementById('beam-mode'),
     interactionPrompt: document.getElementById('interaction-prompt'),
     promptText: document.getElementById('prompt-text'),
+    promptKey: document.getElementById('prompt-key'),
+    holdBarContainer: document.getElementById('hold-bar-container'),
+    holdBar: document.getElementById('hold-bar'),
     hintText: document.getElementById('hint-text'),
+    skipPrompt: document.getElementById('skip-prompt'),
+    objectiveText: document.getElementById('objective-text'),
+    chaseVignette: document.getElementById('chase-vignette'),
+    btnContinue: document.getElementById('btn-continue'),
+    btnSave: document.getElementById('btn-save'),
+    btnLoad: document.getElementById('btn-load'),
+    savesOverlay: document.getElementById('saves-overlay'),
+    savesTitle: document.getElementById('saves-title'),
+    saveSlots: document.getElementById('save-slots'),
+    healthBar: document.getElementById('health-bar'),
+    sanityBar: document.getElementById('sanity-bar'),
+    deathScreen: document.getElementById('death-screen'),
+    deathCause: document.getElementById('death-cause'),
 };
 
 // ── Three.js Core ──
-let renderer, scene, camera, composer, controls;
-let flashlight, flashlightTarget;
+let renderer, scene, camera, composer, renderPass, bloomPass, grainPass, controls;
+let flashlightTarget, lightingSystem;
 let blizzardSystem, horrorEvents, entitySystem, audioManager, storyManager;
+let navGrid, perception;
 let interactables = [];
+let levels = {}; // loadLevel() results by level id
+let activeLevel = null; // level the player is in (see updateActiveLevel)
+const colliders = new SpatialHash();
+const player = new CharacterController(colliders);
+let transition = null; // scripted move in progress (see playTransition)
+const saveManager = new SaveManager();
+const settings = new Settings();
+const governor = new PerformanceGovernor();
+const input = new Input();
+const gamepad = new GamepadInput(input);
+const menuNavigator = new MenuNavigator();
+const touch = new TouchInput(input, document.getElementById('touch-controls'));
+const timers = new Scheduler();   // game time: stops with the game (see animate)
+const uiTimers = new Scheduler(); // real time, for overlays and screen effects
+let hintTimer = null;
+let noteTyping = null;
+let perfHudTimer = 0;
+const vitals = new PlayerVitals();
+const inventory = new Inventory(ITEMS);
+const flashlight = new Flashlight();
+const inspectView = new InspectView(dom.inspectCanvas);
+let lastCheckpoint = null; // respawn point for this session
+let lastDamageFlash = 0;
+let worldFresh = false; // true until the player has touched the current world
+
+// Context handed to chapter hooks, objective checks, interactions and
+// cinematics (see Chapters.js, Interactions.js and Cinematics.js)
+const game = {
+    state,
+    player,
+    inventory,
+    flashlight,
+    get scene() { return scene; },
+    get camera() { return camera; },
+    screen: dom.container,
+    get horrorEvents() { return horrorEvents; },
+    spawnEntity,
+    despawnEntity,
+    isOpened,
+    findObject,
+    showHint,
+    placePlayer,
+    checkpoint,
+    playSound,
+    openNote,
+    collect: id => storyManager.collect(id),
+    hidePickup,
+    openDoor,
+    setDoorLocked,
+    useCharger,
+    turnValve,
+    openHatch,
+    climbDownHatch,
+    unlockHatch,
+    applyLockdownLighting,
+    completeChapter: () => chapters.complete(),
+};
+const chapters = new ChapterManager(CHAPTERS, game);
+const cinematics = new CinematicPlayer(CINEMATICS, game);
+const interactions = new InteractionRegistry(game).registerAll(INTERACTIONS);
+let aimedObject = null; // interactable under the crosshair, if any
 const raycaster = new THREE.Raycaster();
 raycaster.far = 5;
 
@@ -123,97 +257,50 @@ async function init() {
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 2.0;
+    // Counted across the whole frame (every composer pass) for the performance overlay
+    renderer.info.autoReset = false;
     renderer.outputColorSpace = THREE.SRGBColorSpace;
     dom.container.appendChild(renderer.domElement);
 
-    updateLoading(20, 'Building scene...');
-
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x0a0e14);
-    scene.fog = new THREE.FogExp2(0x0a0e14, 0.008);
-
-    // Camera — start inside the lobby, facing the inner door
+    // Camera
     camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 200);
-    camera.position.set(0, state.playerHeight, 5.5);
-    camera.lookAt(0, state.playerHeight, 4); // Face the inner hallway door — right in front of you
 
     // Controls
     controls = new PointerLockControls(camera, document.body);
 
-    updateLoading(35, 'Constructing Legacy HQ...');
-
-    // Build world
-    const { colliders, interactableObjects, hatchTrigger, coreLight } = buildLegacyHQ(scene);
-    interactables = interactableObjects;
-    state.hatchTrigger = hatchTrigger;
-    state.coreLight = coreLight;
-    // Populate collision boxes
-    for (const box of colliders) {
-        wallBoxes.push(box);
-    }
-
-    // Build underground cooling tunnels
-    const tunnelData = buildCoolingTunnels(scene);
-    for (const box of tunnelData.colliders) wallBoxes.push(box);
-    interactables.push(...tunnelData.interactableObjects);
-    state.tunnelData = tunnelData;
-    state.valvesTurned = 0;
-
-    // Build secret lab
-    const labData = buildSecretLab(scene);
-    for (const box of labData.colliders) wallBoxes.push(box);
-    interactables.push(...labData.interactableObjects);
-    state.labData = labData;
-
-    // Build rooftop
-    const rooftopData = buildRooftop(scene);
-    for (const box of rooftopData.colliders) wallBoxes.push(box);
-    interactables.push(...rooftopData.interactableObjects);
-    state.rooftopData = rooftopData;
-
-    updateLoading(55, 'Summoning the blizzard...');
-
-    // Blizzard
-    blizzardSystem = createBlizzard(scene);
-
-    // Lighting
-    const { flashlightObj, flashlightTargetObj } = setupLighting(scene, camera);
-    flashlight = flashlightObj;
-    flashlightTarget = flashlightTargetObj;
-
-    updateLoading(70, 'Initializing horror systems...');
-
-    // Audio
+    // Audio (independent of the scene, survives world rebuilds)
     audioManager = new AudioManager(camera, state);
 
-    // Story
-    storyManager = new StoryManager(interactables);
+    // Decal writing is drawn with the web fonts (see Decals.js); carry on
+    // with the fallbacks if they don't load
+    await Promise.all(['1em Creepster', '1em "Share Tech Mono"'].map(font => document.fonts.load(font))).catch(() => {});
 
-    // Horror (chapter 2 only — chapter 1 is exploration)
-    horrorEvents = new HorrorEvents(scene, camera, audioManager, state);
-    // Entity is NOT created in Chapter 1
-    entitySystem = null;
+    buildWorld();
+    resetProgress();
+    chapters.placeAtSpawn(1);
 
     updateLoading(85, 'Post-processing...');
 
     // Post-processing
     composer = new EffectComposer(renderer);
-    composer.addPass(new RenderPass(scene, camera));
-    const bloomPass = new UnrealBloomPass(
+    renderPass = new RenderPass(scene, camera);
+    composer.addPass(renderPass);
+    bloomPass = new UnrealBloomPass(
         new THREE.Vector2(window.innerWidth, window.innerHeight), 0.4, 0.6, 0.85
     );
     composer.addPass(bloomPass);
     composer.addPass(new ShaderPass(VignetteShader));
-    const grainPass = new ShaderPass(FilmGrainShader);
+    grainPass = new ShaderPass(FilmGrainShader);
     composer.addPass(grainPass);
 
+    bindSettings();
+
     updateLoading(100, 'Ready.');
 
     // Hide loading after brief delay
     await delay(600);
     dom.loadingScreen.classList.add('hidden');
-    dom.titleScreen.classList.remove('hidden');
+    showTitleScreen();
 
     // Bind events
     bindEvents();
@@ -231,286 +318,1047 @@ function delay(ms) {
     return new Promise(r => setTimeout(r, ms));
 }
 
+// ── World Construction ──
+// Build order is fixed: interactable ids (below) are derived from it
+const LEVELS = [legacyHQLevel, coolingTunnelsLevel, secretLabLevel, rooftopLevel];
+
+// Builds (or rebuilds) every level and world system into a fresh scene so a
+// new game or a loaded save always starts from pristine geometry.
+function buildWorld() {
+    if (scene) disposeScene(scene);
+    colliders.clear();
+    interactions.reset();
+    aimedObject = null;
+
+    updateLoading(20, 'Building scene...');
+    const quality = currentQuality();
+    TextureFactory.detail = quality.textureDetail;
+
+    // Scene
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x0a0e14);
+    scene.fog = new THREE.FogExp2(0x0a0e14, 0.008);
+
+    updateLoading(35, 'Constructing Legacy HQ...');
+
+    // Build world — levels share one collider hash, so the collider handles
+    // stored on doors and hatches address it directly
+    interactables = [];
+    levels = {};
+    for (const data of LEVELS) {
+        const level = loadLevel(scene, data, colliders);
+        interactables.push(...level.interactableObjects);
+        levels[data.id] = level;
+    }
+
+    const hq = levels.legacy_hq;
+    state.hatchTrigger = hq.objects.hatch;
+    state.coreLight = hq.objects.core_light;
+
+    const tunnels = levels.cooling_tunnels;
+    state.tunnelData = {
+        exitDoor: tunnels.objects.exit_door,
+        exitDoorColliderIdx: tunnels.colliderIndex.exit_door,
+        exitIndicMat: tunnels.materials.exitIndicator,
+        exitLight: tunnels.objects.exit_light,
+    };
+
+    player.ladders = Object.values(levels).flatMap(level => level.ladders);
+
+    state.rooftopData = {
+        triggerZone: levels.rooftop.objects.roof_edge,
+        antLight: levels.rooftop.objects.antenna_light,
+    };
+
+    // Walkability grid for the Glitch Entity over the HQ floor, built from
+    // the same colliders
+    const [footprint] = hq.bounds;
+    navGrid = new NavGrid(colliders, {
+        bounds: { minX: footprint.min.x, maxX: footprint.max.x, minZ: footprint.min.z, maxZ: footprint.max.z },
+        floorY: hq.floorY,
+    });
+    perception = new Perception(colliders);
+
+    // Save slots address interactables by the ids LevelLoader gives them
+    interactables.forEach(obj => {
+        if (obj.userData.type === 'door') updateDoorIndicator(obj.userData);
+    });
+
+    updateLoading(55, 'Summoning the blizzard...');
+
+    // Blizzard
+    blizzardSystem = createBlizzard(scene, quality);
+    activeLevel = null;
+
+    // Lighting
+    lightingSystem = setupLighting(scene, camera, quality);
+    lightingSystem.setShadowLimit(governor.step.shadowCasters);
+    flashlight.attach(lightingSystem.flashlightObj);
+    flashlightTarget = lightingSystem.flashlightTargetObj;
+
+    updateLoading(70, 'Initializing horror systems...');
+
+    // Story
+    storyManager = new StoryManager(interactables);
+
+    // Horror (chapter 2 only — chapter 1 is exploration)
+    horrorEvents = new HorrorEvents(scene, camera, audioManager, state);
+    // The entity is spawned by whichever chapter enables it (see Chapters.js)
+    despawnEntity();
+
+    if (renderPass) renderPass.scene = scene;
+    worldFresh = true;
+}
+
+function disposeScene(oldScene) {
+    oldScene.traverse(obj => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.shadow && obj.shadow.map) obj.shadow.map.dispose();
+        if (obj.material) {
+            const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+            mats.forEach(m => {
+                if (m.map) m.map.dispose();
+                if (m.normalMap) m.normalMap.dispose();
+                m.dispose();
+            });
+        }
+    });
+}
+
+// Reset progress flags to a new game
+function resetProgress() {
+    state.chapter = 1;
+    state.collectiblesFound = 0;
+    flashlight.reset();
+    inventory.clear();
+    state.finalTerminalRead = false;
+    state.pendingCinematic = false;
+    state.valvesTurned = 0;
+    state.enteredTunnels = false;
+    state.cutscene = false;
+    input.releaseAll();
+}
+
+// ══════════════════════════════════════════════
+//  SAVE / CHECKPOINT
+// ══════════════════════════════════════════════
+function captureSnapshot(label) {
+    const progress = {};
+    for (const key of PERSISTED_STATE_KEYS) progress[key] = state[key];
+
+    // Per-object flags (doors opened, valves turned, pickups taken)
+    const objects = {};
+    for (const obj of interactables) {
+        const d = obj.userData;
+        objects[d.id] = {
+            interactable: d.interactable,
+            visible: obj.visible,
+            opened: d.opened,
+            turned: d.turned,
+            locked: d.locked,
+            charges: d.charges,
+            step: d.step,
+        };
+    }
+
+    return {
+        label,
+        player: {
+            position: camera.position.toArray(),
+            quaternion: camera.quaternion.toArray(),
+        },
+        state: progress,
+        rooftopTriggered: state.rooftopData.triggerZone.userData.triggered,
+        objects,
+        inventory: inventory.toJSON(),
+        flashlight: flashlight.toJSON(),
+        collected: [...storyManager.collected],
+    };
+}
+
+function applySnapshot(snapshot) {
+    for (const key of PERSISTED_STATE_KEYS) {
+        if (key in snapshot.state) state[key] = snapshot.state[key];
+    }
+    // Saved between reading the final terminal and the end of the lockdown
+    // it sets off: resume after it, in chapter 2
+    if (state.chapter === 1 && state.finalTerminalRead) state.chapter = 2;
+    placePlayer(snapshot.player.position);
+    camera.quaternion.fromArray(snapshot.player.quaternion);
+    flashlight.load(snapshot.flashlight);
+
+    snapshot.collected.forEach(id => storyManager.collect(id));
+    inventory.load(snapshot.inventory);
+
+    // Replay each object's end state without animations or sounds
+    for (const obj of interactables) {
+        const saved = snapshot.objects[obj.userData.id];
+        if (saved) restoreInteractable(obj, saved);
+    }
+    if (state.valvesTurned >= 3) unsealTunnelExit(true);
+    if (state.finalTerminalRead) {
+        unlockHatch();
+        applyLockdownLighting();
+    }
+    state.rooftopData.triggerZone.userData.triggered = !!snapshot.rooftopTriggered;
+
+    chapters.start(state.chapter, { restored: true });
+}
+
+function restoreInteractable(obj, saved) {
+    const d = obj.userData;
+    if (saved.step) d.step = saved.step;
+    switch (d.type) {
+        case 'door':
+            setDoorLocked(d, !!saved.locked);
+            if (saved.opened) openDoor(d, true);
+            break;
+        case 'hatch':
+            if (saved.opened) openHatch(d, true);
+            break;
+        case 'valve':
+            if (saved.turned) turnValve(d, true);
+            break;
+        case 'charger':
+            d.charges = saved.charges;
+            updateChargerStatus(d);
+            break;
+        case 'pickup':
+            if (saved.visible === false) hidePickup(obj);
+            break;
+    }
+}
+
+// Autosave at story beats — also where the player respawns after dying
+// Not while a cinematic plays: it changes chapters as it ends, so a save
+// from its middle couldn't be resumed. Quitting then keeps the checkpoint
+// before it, which plays it again.
+function checkpoint(label) {
+    if (!state.playing || cinematics.playing) return;
+    lastCheckpoint = captureSnapshot(label);
+    saveManager.save('autosave', lastCheckpoint);
+}
+
+function formatSaveDetails(snapshot) {
+    const when = new Date(snapshot.savedAt).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    });
+    return `Chapter ${snapshot.state.chapter} · ${when}` + (snapshot.label ? ` — ${snapshot.label}` : '');
+}
+
+function openSavesOverlay(mode) {
+    dom.savesOverlay.dataset.mode = mode;
+    dom.savesTitle.textContent = mode === 'save' ? 'SAVE GAME' : 'LOAD GAME';
+    renderSaveSlots();
+    dom.savesOverlay.classList.remove('hidden');
+}
+
+function renderSaveSlots() {
+    const mode = dom.savesOverlay.dataset.mode;
+    dom.saveSlots.textContent = '';
+    for (const slot of saveManager.list()) {
+        if (mode === 'save' && !slot.manual) continue;
+
+        const btn = document.createElement('button');
+        btn.className = 'save-slot';
+        const name = document.createElement('span');
+        name.className = 'save-slot-name';
+        name.textContent = slot.name;
+        const details = document.createElement('span');
+        details.className = 'save-slot-details';
+        details.textContent = slot.snapshot ? formatSaveDetails(slot.snapshot) : 'Empty';
+        btn.append(name, details);
+
+        if (mode === 'load') {
+            btn.disabled = !slot.snapshot;
+            btn.addEventListener('click', () => {
+                dom.savesOverlay.classList.add('hidden');
+                loadGame(slot.snapshot);
+            });
+        } else {
+            btn.addEventListener('click', () => {
+                if (saveManager.save(slot.id, captureSnapshot('Manual save'))) {
+                    audioManager.playClick();
+                }
+                renderSaveSlots();
+            });
+        }
+        dom.saveSlots.appendChild(btn);
+    }
+}
+
 // ── Event Binding ──
 function bindEvents() {
     // Title buttons
     document.getElementById('btn-play').addEventListener('click', startGame);
-    dom.btnCloseNote.addEventListener('click', closeNote);
-    document.getElementById('btn-settings').addEventListener('click', () => {
-        dom.settingsOverlay.classList.remove('hidden');
+    dom.btnContinue.addEventListener('click', continueGame);
+    dom.btnLoad.addEventListener('click', () => openSavesOverlay('load'));
+    document.getElementById('btn-back-saves').addEventListener('click', () => {
+        dom.savesOverlay.classList.add('hidden');
     });
+    dom.btnCloseNote.addEventListener('click', closeNote);
+    document.getElementById('btn-close-inventory').addEventListener('click', closeInventory);
+    document.getElementById('btn-settings').addEventListener('click', openSettings);
     document.getElementById('btn-back-settings').addEventListener('click', () => {
+        input.capture(null);
         dom.settingsOverlay.classList.add('hidden');
-        state.sensitivity = parseInt(document.getElementById('sensitivity').value);
-        state.volume = parseInt(document.getElementById('volume').value);
-        state.quality = document.getElementById('quality').value;
     });
+    document.getElementById('btn-reset-settings').addEventListener('click', () => {
+        settings.reset();
+        syncSettingsPanel();
+    });
+    document.getElementById('btn-reset-bindings').addEventListener('click', () => {
+        settings.set('bindings', DEFAULT_SETTINGS.bindings);
+        renderBindings();
+    });
+    for (const [key, field] of Object.entries(dom.settingInputs)) {
+        field.addEventListener('input', () => {
+            settings.set(key, inputValue(key, field));
+            if (key === 'quality') renderCustomQuality();
+        });
+    }
 
     // Pause
     document.getElementById('btn-resume').addEventListener('click', resumeGame);
+    document.getElementById('btn-pause-settings').addEventListener('click', openSettings);
+    dom.btnSave.addEventListener('click', () => openSavesOverlay('save'));
     document.getElementById('btn-quit').addEventListener('click', quitToMenu);
 
     // Pointer lock
     controls.addEventListener('lock', () => {
-        if (state.playing && !state.noteOpen) {
+        if (state.playing && !state.noteOpen && !state.inventoryOpen) {
             dom.pauseMenu.classList.add('hidden');
             state.paused = false;
         }
     });
     controls.addEventListener('unlock', () => {
-        if (state.playing && !state.noteOpen) {
-            state.paused = true;
-            dom.pauseMenu.classList.remove('hidden');
-        }
+        if (state.playing && !state.noteOpen && !state.inventoryOpen && !state.editing) pauseGame();
     });
 
-    // Keyboard
+    // Vitals
+    vitals.addEventListener('damage', flashDamage);
+    vitals.addEventListener('death', ({ source }) => onDeath(source));
+    player.addEventListener('land', ({ speed }) => {
+        if (speed > SAFE_FALL_SPEED) vitals.damage((speed - SAFE_FALL_SPEED) * FALL_DAMAGE, 'fall');
+    });
+    document.getElementById('btn-respawn').addEventListener('click', respawn);
+    document.getElementById('btn-death-quit').addEventListener('click', returnToTitle);
+
+    // Chapters
+    chapters.addEventListener('chapterstart', ({ chapter, restored }) => {
+        if (!restored) showChapterCard(chapter.title, chapter.name);
+    });
+    chapters.addEventListener('chapterend', ({ chapter, next }) => {
+        if (!next) finishGame(chapter);
+    });
+    chapters.addEventListener('objective', ({ objective }) => {
+        dom.objectiveText.textContent = objective ? objective.text : '';
+        dom.objectiveText.classList.toggle('hidden', !objective);
+    });
+
+    // Cinematics — the player is frozen while one plays
+    cinematics.addEventListener('start', () => {
+        state.cutscene = true;
+        interactions.end();
+        dom.interactionPrompt.classList.add('hidden');
+    });
+    cinematics.addEventListener('end', () => {
+        state.cutscene = false;
+        dom.skipPrompt.classList.add('hidden');
+    });
+    dom.skipPrompt.addEventListener('click', skipCinematic);
+
+    // Keyboard — game controls arrive as actions (see Input.js)
     document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
+    input.attach();
+    input.addEventListener('press', onActionPress);
+    input.addEventListener('release', onActionRelease);
+    document.addEventListener('pointerdown', () => menuNavigator.clear());
+
+    // Controller
+    gamepad.addEventListener('connected', () => showHint('Controller connected'));
+    gamepad.addEventListener('disconnected', () => {
+        showHint('Controller disconnected');
+        if (state.playing && !state.paused) togglePause();
+    });
+    audioManager.addEventListener('impact', ({ strength, duration }) => gamepad.rumble(strength, duration));
 
     // Resize
     window.addEventListener('resize', onResize);
 }
 
-function startGame() {
+function showTitleScreen() {
+    const hasSave = saveManager.hasAny();
+    dom.btnContinue.classList.toggle('hidden', !hasSave);
+    dom.btnLoad.classList.toggle('hidden', !hasSave);
+    dom.titleScreen.classList.remove('hidden');
+}
+
+// A world the player has already walked through is rebuilt before reuse.
+// Sequences still pending from the last session are dropped first — they
+// hold colliders and objects of the world being thrown away.
+function prepareWorld() {
+    timers.clear();
+    cinematics.stop();
+    if (!worldFresh) buildWorld();
+    resetProgress();
+}
+
+function beginSession() {
     dom.titleScreen.classList.add('hidden');
+    dom.savesOverlay.classList.add('hidden');
     dom.gameHud.classList.remove('hidden');
     state.playing = true;
     state.paused = false;
-    controls.lock();
+    worldFresh = false;
+    vitals.reset();
+    lockPointer();
     audioManager.startAmbience();
-    showHint('Legacy HQ — Ottawa, Canada\nFebruary 2026');
+}
+
+function startGame() {
+    lastCheckpoint = null;
+    prepareWorld();
+    beginSession();
+    chapters.start(1, { spawn: true });
+}
+
+function continueGame() {
+    const snapshot = saveManager.latest();
+    if (snapshot) loadGame(snapshot);
+}
+
+function loadGame(snapshot) {
+    lastCheckpoint = snapshot;
+    prepareWorld();
+    applySnapshot(snapshot);
+    beginSession();
+    showHint('Checkpoint restored');
+}
+
+// Touch play has no pointer to lock (and iOS no Pointer Lock API); it
+// pauses from its own button instead
+function lockPointer() {
+    if (!touch.enabled) controls.lock();
+}
+
+function unlockPointer() {
+    if (!touch.enabled) controls.unlock();
+}
+
+// Also reached without pointer lock, e.g. playing on a controller
+function pauseGame() {
+    state.paused = true;
+    dom.btnSave.disabled = cinematics.playing; // see checkpoint
+    dom.pauseMenu.classList.remove('hidden');
 }
 
 function resumeGame() {
     dom.pauseMenu.classList.add('hidden');
     state.paused = false;
-    controls.lock();
+    lockPointer();
 }
 
 function quitToMenu() {
+    checkpoint('Quit to menu');
+    returnToTitle();
+}
+
+function returnToTitle() {
     state.playing = false;
     state.paused = false;
+    // Whatever was mid-sequence stops where it is; the world is rebuilt
+    // before it's played again
+    timers.clear();
+    cinematics.stop();
+    dom.hintText.classList.add('hidden');
     dom.pauseMenu.classList.add('hidden');
+    dom.deathScreen.classList.add('hidden');
+    dom.savesOverlay.classList.add('hidden');
     dom.gameHud.classList.add('hidden');
-    dom.titleScreen.classList.remove('hidden');
-    controls.unlock();
+    showTitleScreen();
+    unlockPointer();
     audioManager.stopAll();
 }
 
+// ══════════════════════════════════════════════
+//  LEVEL EDITOR (dev builds only)
+// ══════════════════════════════════════════════
+let editor = null;
+let editorSnapshot = null; // where the session resumes once the editor closes
+
+async function toggleEditor() {
+    if (state.editing) {
+        closeEditor();
+        return;
+    }
+    if (!state.playing || state.noteOpen || state.inventoryOpen) return;
+    state.editing = true;
+    editorSnapshot = captureSnapshot('Editor');
+    dom.pauseMenu.classList.add('hidden');
+    dom.gameHud.classList.add('hidden');
+    dom.interactionPrompt.classList.add('hidden');
+    state.paused = false;
+    unlockPointer();
+
+    const { LevelEditor } = await import('./editor/LevelEditor.js');
+    editor = new LevelEditor({
+        scene,
+        camera,
+        domElement: renderer.domElement,
+        levels: Object.values(levels),
+    });
+    editor.addEventListener('exit', closeEditor);
+}
+
+// Edits went straight into the level data, so rebuilding the world picks them
+// up along with fresh colliders, nav grid and interactable ids
+function closeEditor() {
+    if (!editor) return;
+    editor.dispose();
+    editor = null;
+    state.editing = false;
+    worldFresh = false;
+    prepareWorld();
+    applySnapshot(editorSnapshot);
+    beginSession();
+}
+
+// ══════════════════════════════════════════════
+//  DAMAGE / DEATH
+// ══════════════════════════════════════════════
+// Continuous damage (steam, panic) arrives every frame — flash at most twice a second
+function flashDamage() {
+    const now = performance.now();
+    if (now - lastDamageFlash < 500) return;
+    lastDamageFlash = now;
+    const flash = document.createElement('div');
+    flash.className = 'damage-flash';
+    document.body.appendChild(flash);
+    uiTimers.after(0.5, () => flash.remove());
+}
+
+const STEAM_DAMAGE = 20; // health per second inside an active steam burst
+const SAFE_FALL_SPEED = 9; // m/s at landing — about a 2 m drop
+const FALL_DAMAGE = 10;    // health per m/s above that
+const KILL_Y = -30;        // below every level
+
+const DEATH_CAUSES = {
+    entity: 'It found you.',
+    steam: 'Scalded in the cooling tunnels.',
+    sanity: 'The dark got inside your head.',
+    fall: 'You fell.',
+};
+
+function onDeath(source) {
+    state.playing = false; // stops the game loop; unlock won't open the pause menu
+    dom.interactionPrompt.classList.add('hidden');
+    dom.gameHud.classList.add('hidden');
+    dom.deathCause.textContent = DEATH_CAUSES[source] || '';
+    dom.deathScreen.classList.remove('hidden');
+    unlockPointer();
+    audioManager.playScare();
+    audioManager.setChaseMusic(false);
+}
+
+// Back to the last checkpoint of this session, or a fresh start if none was reached
+function respawn() {
+    dom.deathScreen.classList.add('hidden');
+    if (lastCheckpoint) loadGame(lastCheckpoint);
+    else startGame();
+}
+
 function showHint(text) {
     dom.hintText.textContent = text;
     dom.hintText.classList.remove('hidden');
     dom.hintText.style.animation = 'none';
     dom.hintText.offsetHeight; // reflow
     dom.hintText.style.animation = 'hint-fade 5s ease-in-out forwards';
-    setTimeout(() => dom.hintText.classList.add('hidden'), 5000);
+    timers.cancel(hintTimer);
+    hintTimer = timers.after(5, () => dom.hintText.classList.add('hidden'));
 }
 
+// Keys that aren't rebindable: the editor toggle and Escape out of the
+// inventory (Escape itself always releases the pointer)
 function onKeyDown(e) {
-    if (!state.playing) return;
-
-    switch (e.code) {
-        case 'KeyW': case 'ArrowUp': state.moveForward = true; break;
-        case 'KeyS': case 'ArrowDown': state.moveBackward = true; break;
-        case 'KeyA': case 'ArrowLeft': state.moveLeft = true; break;
-        case 'KeyD': case 'ArrowRight': state.moveRight = true; break;
-        case 'ShiftLeft': state.sprinting = true; break;
-        case 'KeyF': toggleFlashlight(); break;
-        case 'KeyE': tryInteract(); break;
+    if (input.capturing) return;
+    if (e.code === 'F9' && import.meta.env.DEV) {
+        e.preventDefault();
+        toggleEditor();
+        return;
+    }
+    // Scrub the playing cinematic a second at a time
+    if ((e.code === 'BracketLeft' || e.code === 'BracketRight') && import.meta.env.DEV && cinematics.playing) {
+        e.preventDefault();
+        cinematics.seek(cinematics.time + (e.code === 'BracketLeft' ? -1 : 1));
+        return;
+    }
+    if (e.code === 'Escape' && state.playing && state.inventoryOpen) {
+        e.preventDefault();
+        closeInventory();
     }
 }
 
-function onKeyUp(e) {
-    switch (e.code) {
-        case 'KeyW': case 'ArrowUp': state.moveForward = false; break;
-        case 'KeyS': case 'ArrowDown': state.moveBackward = false; break;
-        case 'KeyA': case 'ArrowLeft': state.moveLeft = false; break;
-        case 'KeyD': case 'ArrowRight': state.moveRight = false; break;
-        case 'ShiftLeft': state.sprinting = false; break;
+// Movement and sprint are read as held each frame (see animate). Menu
+// actions (from a controller) steer whichever overlay is up
+function onActionPress({ action, repeat }) {
+    const menu = activeMenu();
+    if (menu && !state.editing && menuNavigator.handle(action, menu)) return;
+    if (!state.playing || state.editing || repeat) return;
+    switch (action) {
+        case 'interact': tryInteract(); break;
+        case 'flashlight': toggleFlashlight(); break;
+        case 'beamMode': cycleBeamMode(); break;
+        case 'swapBattery': swapBattery(); break;
+        case 'inventory': toggleInventory(); break;
+        case 'pause': togglePause(); break;
+        case 'skip': skipCinematic(); break;
     }
 }
 
+function onActionRelease({ action }) {
+    if (action === 'interact') interactions.end();
+}
+
+function togglePause() {
+    if (!state.paused) {
+        if (state.noteOpen || state.inventoryOpen || state.cutscene) return;
+        pauseGame();
+        unlockPointer();
+    } else if (dom.settingsOverlay.classList.contains('hidden') && dom.savesOverlay.classList.contains('hidden')) resumeGame();
+}
+
+// Overlays a controller can steer, topmost first, with the button its
+// back press clicks
+const MENUS = [
+    { root: dom.settingsOverlay, back: document.getElementById('btn-back-settings') },
+    { root: dom.savesOverlay, back: document.getElementById('btn-back-saves') },
+    { root: dom.noteViewer, back: dom.btnCloseNote },
+    { root: dom.inventoryOverlay, back: document.getElementById('btn-close-inventory') },
+    { root: dom.deathScreen, back: null },
+    { root: dom.pauseMenu, back: document.getElementById('btn-resume') },
+    { root: dom.titleScreen, back: null },
+];
+
+function activeMenu() {
+    return MENUS.find(({ root }) => !root.classList.contains('hidden')) || null;
+}
+
 function onResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
     composer.setSize(window.innerWidth, window.innerHeight);
+    scaleBloom();
+}
+
+// ── Settings ──
+// Applied the moment they change, in game or on the title screen
+function bindSettings() {
+    settings.bind('sensitivity', value => { controls.pointerSpeed = value / DEFAULT_SETTINGS.sensitivity; });
+    settings.bind('volume', value => audioManager.setVolume(value / 100));
+    settings.bind('quality', applyQuality);
+    settings.bind('customQuality', applyQuality);
+    settings.bind('difficulty', value => {
+        if (entitySystem) entitySystem.ai.setDifficulty(value);
+    });
+    settings.bind('dynamicResolution', enabled => {
+        governor.enabled = enabled;
+        if (!enabled) governor.setLevel(0);
+    });
+    settings.bind('targetFps', fps => { governor.targetFps = fps; });
+    settings.bind('performanceHud', shown => dom.perfHud.classList.toggle('hidden', !shown));
+    settings.bind('bindings', bindings => input.setBindings(bindings));
+    settings.bind('stickDeadzone', value => { gamepad.deadzone = value / 100; });
+    settings.bind('stickCurve', value => { gamepad.lookCurve = value; });
+    settings.bind('vibration', enabled => { gamepad.rumbleEnabled = enabled; });
+    settings.bind('touchControls', mode => {
+        const enabled = mode === 'on' || (mode === 'auto' && prefersTouch());
+        if (enabled === touch.enabled) return;
+        // Hand the pointer over: locked for mouse play, free for fingers
+        if (enabled) controls.unlock();
+        touch.setEnabled(enabled);
+        if (!enabled && state.playing && !state.paused) pauseGame();
+    });
+    governor.addEventListener('change', applyRenderScale);
+}
+
+// Knob values of the chosen quality tier (see Quality.js)
+function currentQuality() {
+    return resolveQuality(settings.get('quality'), settings.get('customQuality'));
+}
+
+function applyQuality() {
+    const quality = currentQuality();
+    bloomPass.enabled = quality.bloom;
+    grainPass.enabled = quality.filmGrain;
+    lightingSystem.applyQuality(quality);
+    blizzardSystem.setDensity(quality.snow);
+    applyRenderScale();
+
+    // Materials compile the shadow setup in, so they're rebuilt when it changes
+    const shadows = quality.shadows !== 'off';
+    const type = quality.softShadows ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    if (renderer.shadowMap.enabled !== shadows || renderer.shadowMap.type !== type) {
+        renderer.shadowMap.enabled = shadows;
+        renderer.shadowMap.type = type;
+        scene.traverse(obj => {
+            if (obj.material) [].concat(obj.material).forEach(m => { m.needsUpdate = true; });
+        });
+    }
+
+    // Textures are generated with the world, so new detail waits for the
+    // next build
+    if (quality.textureDetail !== TextureFactory.detail) worldFresh = false;
+}
+
+// Pixel ratio, bloom resolution and shadow casters: the quality tier's,
+// lightened by the performance governor's current step
+function applyRenderScale() {
+    const { pixelScale, shadowCasters } = governor.step;
+    const pixelRatio = Math.min(window.devicePixelRatio, currentQuality().pixelRatio) * pixelScale;
+    renderer.setPixelRatio(pixelRatio);
+    composer.setPixelRatio(pixelRatio);
+    scaleBloom();
+    lightingSystem.setShadowLimit(shadowCasters);
+}
+
+// The composer sizes every pass to the full screen; bloom then drops to
+// the governor's share of it
+function scaleBloom() {
+    const size = renderer.getDrawingBufferSize(_bloomSize).multiplyScalar(governor.step.bloomScale);
+    bloomPass.setSize(Math.round(size.x), Math.round(size.y));
+}
+
+function openSettings() {
+    syncSettingsPanel();
+    dom.settingsOverlay.classList.remove('hidden');
+}
+
+function syncSettingsPanel() {
+    for (const [key, field] of Object.entries(dom.settingInputs)) {
+        if (field.type === 'checkbox') field.checked = settings.get(key);
+        else field.value = settings.get(key);
+    }
+    renderCustomQuality();
+    renderBindings();
+}
+
+function inputValue(key, field) {
+    if (field.type === 'checkbox') return field.checked;
+    return typeof DEFAULT_SETTINGS[key] === 'number' ? Number(field.value) : field.value;
+}
+
+// One select per knob, shown while the custom tier is chosen
+function renderCustomQuality() {
+    const custom = currentQuality();
+    dom.customQuality.classList.toggle('hidden', settings.get('quality') !== 'custom');
+    dom.customQuality.innerHTML = '';
+    for (const { key, name, options } of QUALITY_KNOBS) {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+        const label = document.createElement('label');
+        label.textContent = name;
+        const select = document.createElement('select');
+        options.forEach(([value, text], i) => {
+            select.add(new Option(text, i, false, value === custom[key]));
+        });
+        select.addEventListener('input', () => {
+            settings.set('customQuality', { ...settings.get('customQuality'), [key]: options[select.value][0] });
+        });
+        row.append(label, select);
+        dom.customQuality.appendChild(row);
+    }
+    const note = document.createElement('p');
+    note.className = 'setting-note';
+    note.textContent = 'Texture detail applies from the next new game or load.';
+    dom.customQuality.appendChild(note);
+}
+
+// Two key slots per action
+function renderBindings() {
+    dom.keyBindings.innerHTML = '';
+    for (const { id, name } of ACTIONS) {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+        const label = document.createElement('label');
+        label.textContent = name;
+        const slots = document.createElement('div');
+        slots.className = 'key-slots';
+        input.bindings[id].forEach((code, slot) => {
+            const button = document.createElement('button');
+            button.className = 'key-slot';
+            button.dataset.action = id;
+            button.dataset.slot = slot;
+            button.textContent = code ? keyLabel(code) : '—';
+            button.addEventListener('click', () => captureBinding(id, slot));
+            slots.appendChild(button);
+        });
+        row.append(label, slots);
+        dom.keyBindings.appendChild(row);
+    }
+}
+
+// The slot takes the next key pressed. A key already bound elsewhere moves
+// here and the note says where from; Escape cancels, Backspace empties the slot
+function captureBinding(action, slot) {
+    renderBindings();
+    const button = dom.keyBindings.querySelector(`[data-action="${action}"][data-slot="${slot}"]`);
+    button.classList.add('listening');
+    button.textContent = 'Press a key…';
+    dom.bindingNote.textContent = 'Esc cancels · Backspace clears';
+    input.capture(code => {
+        let note = '';
+        if (code !== 'Escape') {
+            const key = code === 'Backspace' ? null : code;
+            const taken = input.rebind(action, slot, key);
+            if (taken.length) {
+                const names = taken.map(id => ACTIONS.find(a => a.id === id).name);
+                note = `${keyLabel(key)} was taken from ${names.join(', ')}`;
+            }
+            settings.set('bindings', input.toJSON());
+        }
+        renderBindings();
+        dom.bindingNote.textContent = note;
+    });
 }
 
 // ── Flashlight ──
 function toggleFlashlight() {
-    if (state.battery <= 0) return;
-    state.flashlightOn = !state.flashlightOn;
-    flashlight.visible = state.flashlightOn;
+    if (flashlight.toggle()) audioManager.playClick();
+}
+
+function cycleBeamMode() {
+    if (!flashlight.on) return;
+    flashlight.cycleMode();
+    audioManager.playClick();
+}
+
+// Swap a spare from the inventory in for the cell in the flashlight
+function swapBattery() {
+    if (flashlight.full) return;
+    if (!inventory.remove('battery')) {
+        showHint('No spare batteries');
+        return;
+    }
+    flashlight.recharge();
+    if (!flashlight.on) flashlight.toggle();
     audioManager.playClick();
+    showHint('Battery replaced');
+}
+
+flashlight.addEventListener('empty', () => {
+    showHint(inventory.has('battery') ? `Flashlight dead — [${input.label('swapBattery')}] to swap in a spare battery` : 'Flashlight dead');
+});
+
+// ── Charging Stations ──
+// Each station holds `charges` full recharges (endless without) and its
+// status strip turns red once drained
+function useCharger(chargerData) {
+    flashlight.recharge();
+    if (chargerData.charges !== undefined) chargerData.charges--;
+    updateChargerStatus(chargerData);
+    showHint('Flashlight recharged');
+}
+
+function updateChargerStatus(chargerData) {
+    const color = chargerData.charges === 0 ? 0xff0000 : 0x00ff41;
+    chargerData.statusMat.color.setHex(color);
+    chargerData.statusMat.emissive.setHex(color);
 }
 
 // ── Interaction ──
+// What each type does lives in Interactions.js
 function tryInteract() {
-    if (state.paused || state.noteOpen) return;
+    if (state.paused || state.cutscene || state.noteOpen || state.inventoryOpen || transition) return;
+    const obj = findAimedInteractable();
+    if (obj) interactions.begin(obj);
+}
+
+// The interactable under the crosshair within reach, or null
+function findAimedInteractable() {
     raycaster.setFromCamera(_center, camera);
     raycaster.far = 5;
     const hits = raycaster.intersectObjects(interactables, true);
-    if (hits.length > 0) {
-        const obj = hits[0].object.userData.type ? hits[0].object : hits[0].object.parent;
-        if (!obj.userData || obj.userData.interactable === false) return;
-        if (obj.userData && obj.userData.type === 'note') {
-            openNote(obj.userData.content);
-        } else if (obj.userData && obj.userData.type === 'terminal') {
-            openNote(obj.userData.content);
-            audioManager.playTerminal();
-        } else if (obj.userData && obj.userData.type === 'vhs') {
-            openNote(obj.userData.content);
-            audioManager.playStatic();
-        } else if (obj.userData && obj.userData.type === 'door') {
-            openDoor(obj.userData);
-        } else if (obj.userData && obj.userData.type === 'final_terminal') {
-            openNote(obj.userData.content);
-            audioManager.playTerminal();
-            state.finalTerminalRead = true;
-            // Trigger lockdown cinematic after closing the note
-            state.pendingCinematic = true;
-        } else if (obj.userData && obj.userData.type === 'keycard') {
-            // Pick up keycard — hide instead of scene.remove to avoid lag
-            state.hasKeycard = true;
-            obj.visible = false;
-            obj.userData.interactable = false;
-            if (obj.userData.glowLight) obj.userData.glowLight.visible = false;
-            audioManager.playClick();
-            showHint('Level 5 Access Card acquired');
-        } else if (obj.userData && obj.userData.type === 'valve') {
-            if (!obj.userData.turned) {
-                obj.userData.turned = true;
-                // Spin valve wheel
-                obj.userData.wheel.rotation.z += Math.PI * 2;
-                // Indicator turns green
-                obj.userData.indicMat.color.setHex(0x00ff00);
-                obj.userData.indicMat.emissive.setHex(0x00ff00);
-                audioManager._playTone(300 + state.valvesTurned * 100, 0.3, 0.15);
-                state.valvesTurned++;
-                showHint(`Valve ${state.valvesTurned}/3 activated`);
-                // All 3 valves = puzzle solved
-                if (state.valvesTurned >= 3) {
-                    setTimeout(() => {
-                        showHint('POWER RESTORED — Exit unsealed');
-                        audioManager.playTerminal();
-                        const td = state.tunnelData;
-                        // Open exit door
-                        td.exitIndicMat.color.setHex(0x00ff00);
-                        td.exitIndicMat.emissive.setHex(0x00ff00);
-                        td.exitLight.intensity = 1.5;
-                        td.exitLight.distance = 6;
-                        // Slide door open
-                        const startZ = td.exitDoor.position.z;
-                        const dur = 2000;
-                        const st = performance.now();
-                        function animExit() {
-                            const t = Math.min((performance.now() - st) / dur, 1);
-                            td.exitDoor.position.z = startZ + 2 * (1 - Math.pow(1 - t, 3));
-                            if (t < 1) requestAnimationFrame(animExit);
-                            else wallBoxes[td.exitDoorColliderIdx].makeEmpty();
-                        }
-                        animExit();
-                    }, 1500);
-                }
-            }
-        } else if (obj.userData && obj.userData.type === 'hatch') {
-            // Only allow if hatch is activated (explicitly check the state flag)
-            if (!state.finalTerminalRead || !obj.userData.interactable) {
-                showHint('The hatch is sealed shut');
-                return;
-            }
-            // Teleport player underground
-            camera.position.set(-13, -4 + state.playerHeight, -26);
-            showHint('You descend into the cooling tunnels...');
-            audioManager.playDoorSlam();
-        } else if (obj.userData && obj.userData.type === 'keycard_10') {
-            // Pick up Level 10 keycard — hide instead of scene.remove
-            state.hasKeycard10 = true;
-            obj.visible = false;
-            obj.userData.interactable = false;
-            if (obj.userData.glowLight) obj.userData.glowLight.visible = false;
-            audioManager.playClick();
-            showHint('Level 10 Emergency Keycard acquired');
-        } else if (obj.userData && obj.userData.type === 'escape_door') {
-            if (obj.userData.opened) return;
-            if (!state.hasKeycard10) {
-                showHint('LOCKED — Level 10 clearance required');
-                audioManager._playTone(150, 0.15, 0.1);
-            } else {
-                obj.userData.opened = true;
-                obj.userData.indicMat.color.setHex(0x00ff00);
-                obj.userData.indicMat.emissive.setHex(0x00ff00);
-                audioManager.playTerminal();
-                showHint('ACCESS GRANTED — Get to the roof!');
-                setTimeout(() => {
-                    audioManager.playDoorSlam();
-                    wallBoxes[obj.userData.doorColliderIdx].makeEmpty();
-                    scene.remove(obj.userData.door);
-                    // Teleport player to rooftop
-                    setTimeout(() => {
-                        camera.position.set(37, 4 + state.playerHeight, -22);
-                        showHint('You emerge onto the rooftop...');
-                    }, 500);
-                }, 1000);
-            }
-        } else if (obj.userData && obj.userData.type === 'locked_door') {
-            if (obj.userData.opened) return;
-            if (!state.hasKeycard) {
-                showHint('LOCKED — You need a security access card');
-                audioManager._playTone(150, 0.15, 0.1);
-            } else {
-                openSecurityDoor(obj.userData);
-            }
+    if (hits.length === 0) return null;
+    const obj = hits[0].object.userData.type ? hits[0].object : hits[0].object.parent;
+    // Only objects that are actually interactable
+    if (!obj.userData || !obj.userData.type || obj.userData.interactable === false) return null;
+    return obj;
+}
+
+function updateInteractionPrompt() {
+    if (!aimedObject) {
+        dom.interactionPrompt.classList.add('hidden');
+        dom.crosshair.classList.remove('active');
+        return;
+    }
+    const { text, hold } = interactions.prompt(aimedObject);
+    dom.interactionPrompt.classList.remove('hidden');
+    dom.crosshair.classList.add('active');
+    dom.promptText.textContent = text;
+    const key = input.label('interact');
+    dom.promptKey.textContent = hold ? `[HOLD ${key}]` : `[${key}]`;
+}
+
+interactions.addEventListener('interact', () => {
+    state.collectiblesFound++;
+});
+
+interactions.addEventListener('refused', ({ object }) => {
+    if (object.userData.type === 'door') flashDoorIndicator(object.userData);
+});
+
+interactions.addEventListener('hold', ({ object, progress }) => {
+    dom.holdBarContainer.classList.toggle('hidden', !object);
+    dom.holdBar.style.width = (progress * 100) + '%';
+});
+
+const SOUNDS = {
+    click: () => audioManager.playClick(),
+    terminal: () => audioManager.playTerminal(),
+    static: () => audioManager.playStatic(),
+    denied: () => audioManager._playTone(150, 0.15, 0.1),
+    alarm: () => audioManager.playAlarm(),
+    bassBoom: () => audioManager.playBassBoom(),
+    scare: () => audioManager.playScare(),
+    heartbeat: () => audioManager.playHeartbeat(),
+};
+
+function playSound(name) {
+    if (audioManager && SOUNDS[name]) SOUNDS[name]();
+}
+
+// ── Pickups ──
+// Hide instead of scene.remove to avoid lag
+function hidePickup(obj) {
+    obj.visible = false;
+    obj.userData.interactable = false;
+    if (obj.userData.glowLight) obj.userData.glowLight.visible = false;
+}
+
+// ── Inventory ──
+function toggleInventory() {
+    if (state.inventoryOpen) closeInventory();
+    else openInventory();
+}
+
+function openInventory() {
+    if (state.paused || state.cutscene || state.noteOpen || transition) return;
+    state.inventoryOpen = true;
+    interactions.end();
+    dom.inventoryOverlay.classList.remove('hidden');
+    dom.inventoryKey.textContent = `[${input.label('inventory')}]`;
+    renderInventory();
+    unlockPointer();
+    audioManager.playClick();
+}
+
+function closeInventory() {
+    if (!state.inventoryOpen) return;
+    state.inventoryOpen = false;
+    dom.inventoryOverlay.classList.add('hidden');
+    inspectView.hide();
+    lockPointer();
+}
+
+// One section per category with the first item up in the inspect view
+function renderInventory() {
+    dom.inventoryList.textContent = '';
+    let first = null;
+    for (const category of CATEGORIES) {
+        const heading = document.createElement('div');
+        heading.className = 'inventory-category';
+        heading.textContent = category.name;
+        dom.inventoryList.append(heading);
+
+        const slots = inventory.byCategory(category.id);
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'inventory-empty';
+            empty.textContent = 'None';
+            dom.inventoryList.append(empty);
         }
-        state.collectiblesFound++;
+        for (const slot of slots) {
+            const btn = document.createElement('button');
+            btn.className = 'inventory-item';
+            btn.textContent = itemLabel(slot) + (slot.count > 1 ? ` ×${slot.count}` : '');
+            btn.addEventListener('click', () => inspectItem(slot, btn));
+            dom.inventoryList.append(btn);
+            if (!first) first = { slot, btn };
+        }
+    }
+
+    dom.inspectCanvas.classList.toggle('hidden', !first);
+    if (first) {
+        inspectItem(first.slot, first.btn);
+    } else {
+        inspectView.hide();
+        dom.inspectName.textContent = '';
+        dom.inspectDescription.textContent = 'You are not carrying anything.';
     }
 }
 
-// ── Security Door Opening ──
-function openSecurityDoor(doorData) {
-    if (doorData.opened) return;
-    doorData.opened = true;
+function inspectItem(slot, btn) {
+    const def = inventory.definition(slot.item);
+    for (const item of dom.inventoryList.querySelectorAll('.inventory-item')) {
+        item.classList.toggle('selected', item === btn);
+    }
+    dom.inspectName.textContent = itemLabel(slot);
+    // Documents can be read in full beside the page
+    dom.inspectDescription.textContent = slot.data ? slot.data.content : def.description;
+    inspectView.show(def, slot.data);
+}
+
+function itemLabel(slot) {
+    return slot.data ? slot.data.title : inventory.definition(slot.item).name;
+}
 
+// ── Valve Puzzle ──
+function turnValve(valveData, instant = false) {
+    valveData.turned = true;
+    // Spin valve wheel
+    valveData.wheel.rotation.z += Math.PI * 2;
     // Indicator turns green
-    doorData.indicatorMat.color.setHex(0x00ff00);
-    doorData.indicatorMat.emissive.setHex(0x00ff00);
-    doorData.secLight.color.setHex(0x00ff44);
-
-    audioManager.playTerminal(); // Beep
-    showHint('ACCESS GRANTED');
-
-    // Delay then open
-    setTimeout(() => {
-        audioManager.playDoorSlam();
-
-        const left = doorData.doorLeft;
-        const right = doorData.doorRight;
-        const startLeft = left.position.x;
-        const startRight = right.position.x;
-        const slideDistance = 1.6;
-        const duration = 3000; // Heavy, slow blast door
-        const startTime = performance.now();
-
-        function animSec() {
-            const elapsed = performance.now() - startTime;
-            const t = Math.min(elapsed / duration, 1);
-            const e = 1 - Math.pow(1 - t, 3);
-
-            left.position.x = startLeft - slideDistance * e;
-            right.position.x = startRight + slideDistance * e;
-
-            if (t < 1) {
-                requestAnimationFrame(animSec);
-            } else {
-                wallBoxes[doorData.doorColliderLeft].makeEmpty();
-                wallBoxes[doorData.doorColliderRight].makeEmpty();
-                showHint('The darkness deepens ahead...');
-            }
-        }
-        animSec();
-    }, 1500);
+    valveData.indicMat.color.setHex(0x00ff00);
+    valveData.indicMat.emissive.setHex(0x00ff00);
+    if (instant) return;
+
+    audioManager.playValve(valveData.wheel.position, 300 + state.valvesTurned * 100);
+    state.valvesTurned++;
+    showHint(`Valve ${state.valvesTurned}/3 activated`);
+    checkpoint(`Valve ${state.valvesTurned}/3 activated`);
+    // All 3 valves = puzzle solved
+    if (state.valvesTurned >= 3) {
+        timers.after(1.5, () => unsealTunnelExit());
+    }
+}
+
+function unsealTunnelExit(instant = false) {
+    const td = state.tunnelData;
+    // Open exit door
+    td.exitIndicMat.color.setHex(0x00ff00);
+    td.exitIndicMat.emissive.setHex(0x00ff00);
+    td.exitLight.intensity = 1.5;
+    td.exitLight.distance = 6;
+    const slideDistance = 2;
+    if (instant) {
+        td.exitDoor.position.z += slideDistance;
+        colliders.remove(td.exitDoorColliderIdx);
+        collidersChanged();
+        return;
+    }
+
+    showHint('POWER RESTORED — Exit unsealed');
+    audioManager.playTerminal();
+    // Slide door open
+    const startZ = td.exitDoor.position.z;
+    timers.tween(2, t => {
+        td.exitDoor.position.z = startZ + slideDistance * (1 - Math.pow(1 - t, 3));
+    }, () => {
+        colliders.remove(td.exitDoorColliderIdx);
+        collidersChanged();
+    });
 }
 
 function openNote(content) {
@@ -518,221 +1366,338 @@ function openNote(content) {
     dom.noteViewer.classList.remove('hidden');
     dom.noteContent.textContent = '';
     // Typewriter effect
-    let i = 0;
-    const type = () => {
-        if (i < content.length) {
-            dom.noteContent.textContent += content[i];
-            i++;
-            setTimeout(type, 25);
-        }
-    };
-    type();
-    controls.unlock();
+    uiTimers.cancel(noteTyping);
+    noteTyping = uiTimers.every(0.025, i => { dom.noteContent.textContent += content[i]; }, content.length);
+    unlockPointer();
 }
 
 function closeNote() {
     state.noteOpen = false;
+    uiTimers.cancel(noteTyping);
     dom.noteViewer.classList.add('hidden');
-    controls.lock();
+    lockPointer();
 
     // If a cinematic is pending, trigger it
-    if (state.pendingCinematic && state.chapter === 1) {
+    if (state.pendingCinematic && chapters.id === 1) {
         state.pendingCinematic = false;
-        triggerChapter2Cinematic();
+        cinematics.play('lockdown');
     }
 }
 
-// ══════════════════════════════════════════════
-//  CHAPTER 1 ENDING — SERVER BOOT / LOCKDOWN
-// ══════════════════════════════════════════════
-function triggerChapter2Cinematic() {
-    state.paused = true;
+const SKIP_PROMPT_DELAY = 1; // s into a cinematic before it can be skipped
 
-    const gc = document.getElementById('game-container');
+// Only once the prompt is up, so the key that closed the note doesn't also
+// skip what it started — and not from behind the pause menu
+function skipCinematic() {
+    if (state.paused || dom.skipPrompt.classList.contains('hidden')) return;
+    cinematics.skip();
+}
 
-    // ── STEP 1 (0s): System unexpectedly boots up ──
-    // Terminal beep → core light surges → server LEDs begin flickering
-    audioManager.playTerminal();
-    showHint('SYSTEM BOOT DETECTED...');
+// Skip prompt, from a second in; in dev builds it also shows the playhead
+// for scrubbing with [ and ]
+function updateSkipPrompt() {
+    const show = cinematics.playing && cinematics.time >= SKIP_PROMPT_DELAY;
+    dom.skipPrompt.classList.toggle('hidden', !show);
+    if (!show) return;
+    let text = `[${input.label('skip')}] Skip`;
+    if (import.meta.env.DEV) text += ` — ${cinematics.time.toFixed(1)} / ${cinematics.duration.toFixed(1)}s`;
+    dom.skipPrompt.textContent = text;
+}
 
-    // Core light surges bright
-    if (state.coreLight) {
-        state.coreLight.intensity = 8;
-        state.coreLight.distance = 20;
-        state.coreLight.color.setHex(0xaa00ff);
+// ── Chapter Presentation ──
+function showChapterCard(number, name, duration = 4000) {
+    const card = document.createElement('div');
+    card.className = 'chapter-title-overlay';
+    const numberEl = document.createElement('div');
+    numberEl.className = 'chapter-number';
+    numberEl.textContent = number;
+    const nameEl = document.createElement('div');
+    nameEl.className = 'chapter-name';
+    nameEl.textContent = name;
+    card.append(numberEl, nameEl);
+    document.body.appendChild(card);
+    uiTimers.after(0, () => card.classList.add('visible'));
+    uiTimers.after(duration / 1000, () => card.classList.remove('visible'));
+    uiTimers.after(duration / 1000 + 1, () => card.remove());
+}
+
+// Last chapter finished — freeze the frame, show the end card, back to title.
+// The autosave is left at the last checkpoint rather than the finished game.
+function finishGame(chapter) {
+    state.playing = false;
+    dom.interactionPrompt.classList.add('hidden');
+    showChapterCard(`End of ${chapter.title}`, 'To Be Continued', 6000);
+    uiTimers.after(7, returnToTitle);
+}
+
+// ── Entity Lifecycle (driven by chapter hooks) ──
+function spawnEntity() {
+    if (entitySystem) return;
+    entitySystem = createEntity(scene, camera, audioManager, navGrid, perception, settings.get('difficulty'));
+    entitySystem.ai.addEventListener('statechange', onEntityStateChange);
+    entitySystem.ai.addEventListener('contact', ({ damage }) => vitals.damage(damage, 'entity'));
+}
+
+function despawnEntity() {
+    if (entitySystem) {
+        entitySystem.dispose();
+        entitySystem = null;
     }
+    onEntityStateChange({ to: null });
+}
 
-    // All scene lights pulse brighter briefly
-    const originalIntensities = [];
+// Music, HUD and scripted scares follow the entity's AI state
+function onEntityStateChange({ to }) {
+    const chasing = to === 'chase';
+    audioManager.setChaseMusic(chasing);
+    dom.chaseVignette.classList.toggle('active', chasing);
+    if (horrorEvents) horrorEvents.setSuppressed(chasing);
+}
+
+// Whether the interactable with this level-file id has been opened
+function isOpened(id) {
+    return Object.values(levels).some(level => level.objects[id] && level.objects[id].userData.opened);
+}
+
+// Object with this level-file id, in whichever level has it
+function findObject(id) {
+    const level = Object.values(levels).find(l => l.objects[id]);
+    return level ? level.objects[id] : null;
+}
+
+function captureLightIntensities() {
+    const intensities = [];
     scene.traverse(obj => {
-        if (obj.isLight) {
-            originalIntensities.push({ light: obj, intensity: obj.intensity });
-            obj.intensity *= 2.5;
+        if (obj.isLight) intensities.push({ light: obj, intensity: obj.intensity });
+    });
+    return intensities;
+}
+
+// Post-lockdown look: dim red emergency lighting relative to the given base intensities
+function applyLockdownLighting(baseIntensities = captureLightIntensities()) {
+    baseIntensities.forEach(({ light, intensity }) => {
+        // The flashlight keeps its own beam (see Flashlight.js)
+        if (light === flashlight.light) return;
+        light.intensity = intensity * 0.3;
+        // Non-ambient lights go red
+        if (!light.isAmbientLight && light.color) {
+            light.color.setHex(0xff2200);
         }
     });
 
-    // ── STEP 2 (2s): Lights flicker wildly + alarms ──
-    setTimeout(() => {
-        audioManager.playAlarm();
-        showHint('⚠ WARNING: UNAUTHORIZED SYSTEM ACCESS ⚠');
-
-        // Rapid flicker effect
-        let flickerCount = 0;
-        const flickerInterval = setInterval(() => {
-            scene.traverse(obj => {
-                if (obj.isLight) {
-                    obj.intensity = Math.random() > 0.4 ? obj.intensity * 1.5 : 0.05;
-                }
-            });
-            flickerCount++;
-            if (flickerCount > 20) clearInterval(flickerInterval);
-        }, 100);
-    }, 2000);
-
-    // ── STEP 3 (4.5s): Screen shake + bass boom ──
-    setTimeout(() => {
-        audioManager.playBassBoom();
-        gc.classList.add('screen-shake');
-        setTimeout(() => gc.classList.remove('screen-shake'), 800);
-    }, 4500);
-
-    // ── STEP 4 (5.5s): Emergency lockdown — blackout ──
-    setTimeout(() => {
-        showHint('EMERGENCY LOCKDOWN INITIATED');
-        audioManager.playScare();
-
-        const blackout = document.createElement('div');
-        blackout.className = 'chapter-blackout';
-        blackout.id = 'lockdown-blackout';
-        document.body.appendChild(blackout);
-        requestAnimationFrame(() => blackout.classList.add('active'));
-
-        // All lights drop to near-zero
-        scene.traverse(obj => {
-            if (obj.isLight) obj.intensity = 0.02;
-        });
-    }, 5500);
-
-    // ── STEP 5 (7.5s): Red emergency lighting returns ──
-    setTimeout(() => {
-        const blackout = document.getElementById('lockdown-blackout');
-        if (blackout) blackout.classList.remove('active');
-
-        // Restore lights as dim red emergency lighting
-        originalIntensities.forEach(({ light, intensity }) => {
-            light.intensity = intensity * 0.3;
-            // Non-ambient lights go red
-            if (!light.isAmbientLight && light.color) {
-                light.color.setHex(0xff2200);
-            }
-        });
+    // Core light pulses deep red
+    if (state.coreLight) {
+        state.coreLight.intensity = 2;
+        state.coreLight.color.setHex(0xff0000);
+    }
 
-        // Core light pulses deep red
-        if (state.coreLight) {
-            state.coreLight.intensity = 2;
-            state.coreLight.color.setHex(0xff0000);
+    // Symbol glows intensely
+    scene.traverse(obj => {
+        if (obj.isPointLight && obj.color.r > 0.4 && obj.color.g < 0.1) {
+            obj.intensity = 4;
+            obj.distance = 12;
         }
+    });
+}
 
-        // Symbol glows intensely
-        scene.traverse(obj => {
-            if (obj.isPointLight && obj.color.r > 0.4 && obj.color.g < 0.1) {
-                obj.intensity = 4;
-                obj.distance = 12;
-            }
+function unlockHatch() {
+    if (!state.hatchTrigger) return;
+    const hd = state.hatchTrigger.userData;
+    hd.interactable = true;
+    // Green glow activates
+    hd.hatchGlow.intensity = 1.5;
+    hd.hatchGlow.distance = 6;
+    // Hatch panel turns green
+    hd.hatchPanel.material.emissive.setHex(0x00aa33);
+    hd.hatchPanel.material.emissiveIntensity = 0.8;
+}
+
+// The panel slides aside over the floor, opening the ladder shaft
+function openHatch(hatchData, instant = false) {
+    if (hatchData.opened) return;
+    hatchData.opened = true;
+    colliders.remove(hatchData.hatchColliderIdx);
+    collidersChanged();
+
+    const parts = [
+        hatchData.hatchPanel, hatchData.hatchStripeN, hatchData.hatchStripeS,
+        hatchData.hatchLabel, hatchData.hatchLock,
+    ];
+    const starts = parts.map(part => part.position.clone());
+    const slideDistance = 1.6;
+    const lift = 0.06; // clear the floor it slides onto
+
+    function place(e) {
+        parts.forEach((part, i) => {
+            part.position.x = starts[i].x + slideDistance * e;
+            part.position.y = starts[i].y + lift * Math.min(e * 4, 1);
         });
+    }
 
-        audioManager.playHeartbeat();
-    }, 7500);
-
-    // ── STEP 6 (12s): Maintenance hatch unlocks ──
-    setTimeout(() => {
-        // Activate hatch
-        if (state.hatchTrigger) {
-            const hd = state.hatchTrigger.userData;
-            hd.interactable = true;
-            // Green glow activates
-            hd.hatchGlow.intensity = 1.5;
-            hd.hatchGlow.distance = 6;
-            // Hatch panel turns green
-            hd.hatchPanel.material.emissive.setHex(0x00aa33);
-            hd.hatchPanel.material.emissiveIntensity = 0.8;
-        }
+    if (instant) {
+        place(1);
+        return;
+    }
 
-        audioManager.playClick();
-        showHint('Maintenance hatch unlocked — find it!');
-    }, 12000);
+    audioManager.playDoorSlam(hatchData.hatchPanel.position);
+    showHint('The hatch grinds open. A ladder leads down into the dark.');
 
-    // ── STEP 7 (14s): Remove title, unfreeze player ──
-    setTimeout(() => {
-        const blackout = document.getElementById('lockdown-blackout');
-        if (blackout) blackout.remove();
+    timers.tween(1.5, t => place(1 - Math.pow(1 - t, 3)));
+}
 
-        state.paused = false;
-        showHint('Find a way out!');
-    }, 14000);
+// Using the open hatch climbs all the way down; the ladder can also be
+// climbed by hand
+function climbDownHatch() {
+    playTransition([[-13, 0.1, -25.7], [-13, -4, -25.7]], 1.6);
 }
 
-// ── Door Opening ──
-function openDoor(doorData) {
+// ── Doors ──
+// Every door in the level files opens the same way once it lets the player
+// through (see Access.js): a beep and `grantedHint` if it asked for access,
+// then after `delay` seconds the `panels` slide by their `slide` offsets over
+// `duration` seconds — or are taken away if it has none — and the
+// `doorColliders` go. `openedHint` and `checkpoint` follow once it is open.
+function openDoor(doorData, instant = false) {
     if (doorData.opened) return;
     doorData.opened = true;
-    audioManager.playDoorSlam();
-
-    const left = doorData.doorLeft;
-    const right = doorData.doorRight;
-    const hL = doorData.handleL;
-    const hR = doorData.handleR;
+    updateDoorIndicator(doorData);
 
-    const startLeft = left.position.x;
-    const startRight = right.position.x;
-    const startHL = hL.position.x;
-    const startHR = hR.position.x;
-    const slideDistance = 1.6;
+    const { panels = [], slide, delay = 0, duration = 2 } = doorData;
+    const starts = panels.map(panel => panel.position.clone());
+    function place(e) {
+        panels.forEach((panel, i) => panel.position.copy(starts[i]).addScaledVector(_slide.fromArray(slide[i]), e));
+    }
+    function clear() {
+        if (!slide) panels.forEach(panel => panel.removeFromParent());
+        for (const handle of doorData.doorColliders || []) colliders.remove(handle);
+        collidersChanged();
+    }
 
-    const duration = 2000; // Slow, heavy door
-    const startTime = performance.now();
+    if (instant) {
+        if (slide) place(1);
+        clear();
+        return;
+    }
 
-    function animDoor() {
-        const elapsed = performance.now() - startTime;
-        const t = Math.min(elapsed / duration, 1);
-        const e = 1 - Math.pow(1 - t, 3);
+    if (doorData.access) audioManager.playTerminal();
+    if (doorData.grantedHint) showHint(doorData.grantedHint);
+    timers.after(delay, () => {
+        audioManager.playDoorSlam(starts[0]);
+        timers.tween(slide ? duration : 0, t => {
+            if (slide) place(1 - Math.pow(1 - t, 3)); // Slow, heavy doors
+        }, () => {
+            clear();
+            if (doorData.openedHint) showHint(doorData.openedHint);
+            if (doorData.checkpoint) checkpoint(doorData.checkpoint);
+        });
+    });
+}
 
-        left.position.x = startLeft - slideDistance * e;
-        right.position.x = startRight + slideDistance * e;
-        hL.position.x = startHL - slideDistance * e;
-        hR.position.x = startHR + slideDistance * e;
+// Door terminals lock doors whatever the player carries (see Access.js)
+function setDoorLocked(doorData, locked) {
+    doorData.locked = locked;
+    updateDoorIndicator(doorData);
+}
 
-        if (t < 1) {
-            requestAnimationFrame(animDoor);
-        } else {
-            // Remove door colliders so player can walk through
-            if (doorData.doorColliderLeft !== undefined) {
-                // Set collider to empty box far away (effectively removing it)
-                wallBoxes[doorData.doorColliderLeft].makeEmpty();
-                wallBoxes[doorData.doorColliderRight].makeEmpty();
-            }
-            showHint('The hallway stretches into darkness...');
-        }
+// Green once the door is open or needs nothing to open, red otherwise
+function updateDoorIndicator(doorData) {
+    const clear = doorData.opened || (!doorData.locked && !doorData.access);
+    if (doorData.indicatorMat) {
+        doorData.indicatorMat.color.setHex(clear ? 0x00ff00 : 0xff0000);
+        doorData.indicatorMat.emissive.setHex(clear ? 0x00ff00 : 0xff0000);
     }
-    animDoor();
+    if (doorData.indicatorLight) doorData.indicatorLight.color.setHex(clear ? 0x00ff44 : 0xff2200);
+}
+
+// Blink the indicator when the door turns the player away
+function flashDoorIndicator(doorData) {
+    const mat = doorData.indicatorMat;
+    if (!mat || doorData.flashing) return;
+    doorData.flashing = true;
+    const base = mat.emissiveIntensity;
+    timers.every(0.1, i => {
+        const blinks = i + 1;
+        mat.emissiveIntensity = blinks % 2 ? 0 : base;
+        if (blinks === 6) doorData.flashing = false;
+    }, 6);
 }
 
 // ── Collision ──
-const playerBox = new THREE.Box3();
-const playerSize = new THREE.Vector3(0.5, 1.7, 0.5);
-const wallBoxes = [];
+// Doors remove their boxes when they open — keep derived data in sync
+function collidersChanged() {
+    if (navGrid) navGrid.rebuild();
+}
+
+// Moves the player to an eye position (arrays, as in Chapters.js), optionally
+// turning to face `lookAt`
+function placePlayer(position, lookAt) {
+    camera.position.fromArray(position);
+    if (lookAt) camera.lookAt(...lookAt);
+    _feet.copy(camera.position);
+    _feet.y -= state.playerHeight;
+    player.teleport(_feet);
+    transition = null;
+}
 
-function checkCollision(newPos) {
-    playerBox.setFromCenterAndSize(newPos, playerSize);
-    for (const box of wallBoxes) {
-        if (playerBox.intersectsBox(box)) return true;
+// ── Level Registry ──
+// Picks the level whose declared bounds hold `position` (feet). Between
+// levels — in the hatch shaft, mid-fall — the last one stays active.
+function updateActiveLevel(position) {
+    if (activeLevel && activeLevel.bounds.some(box => box.containsPoint(position))) return activeLevel;
+    const next = Object.values(levels).find(level => level.bounds.some(box => box.containsPoint(position)));
+    if (next) {
+        activeLevel = next;
+        applyEnvironment(next.environment);
     }
-    return false;
+    return activeLevel;
+}
+
+function applyEnvironment({ fog, fogDensity, blizzard }) {
+    scene.fog.color.set(fog);
+    scene.fog.density = fogDensity;
+    scene.background.set(fog);
+    if (!blizzardSystem) return;
+    if (blizzardSystem.particles) blizzardSystem.particles.visible = blizzard;
+    if (blizzardSystem.streaks) blizzardSystem.streaks.visible = blizzard;
+    if (blizzardSystem.fogPlanes) blizzardSystem.fogPlanes.forEach(fp => fp.visible = blizzard);
+}
+
+// ── Transitions ──
+// Short first-person moves along a path of feet positions at `speed` m/s.
+// Movement input is ignored until the path ends.
+function playTransition(path, speed) {
+    const points = [player.position.clone(), ...path.map(p => new THREE.Vector3().fromArray(p))];
+    transition = { points, speed, travelled: 0 };
+}
+
+function updateTransition(delta) {
+    const { points } = transition;
+    transition.travelled += delta * transition.speed;
+    let left = transition.travelled;
+    for (let i = 1; i < points.length; i++) {
+        const length = points[i - 1].distanceTo(points[i]);
+        if (left < length) {
+            player.position.lerpVectors(points[i - 1], points[i], left / length);
+            return;
+        }
+        left -= length;
+    }
+    player.teleport(points[points.length - 1]);
+    transition = null;
 }
 
 // ── Reusable objects (avoid per-frame allocations) ──
 const _center = new THREE.Vector2(0, 0);
+const _camDir = new THREE.Vector3();
+const _camRight = new THREE.Vector3();
+const _moveVel = new THREE.Vector3();
+const _feet = new THREE.Vector3();
 const _flashDir = new THREE.Vector3();
+const _slide = new THREE.Vector3();
+const _bloomSize = new THREE.Vector2();
+const _moveInput = new THREE.Vector2();
+const _look = new THREE.Euler(0, 0, 0, 'YXZ');
+const _lookTurn = new THREE.Vector2();
 let _interactFrame = 0;
 
 // ── Head Bob ──
@@ -751,73 +1716,71 @@ function getHeadBob(delta, isMoving, isSprinting) {
 // ── Game Loop ──
 function animate() {
     requestAnimationFrame(animate);
-    const delta = Math.min(state.clock.getDelta(), 0.1);
+    const frameTime = state.clock.getDelta();
+    const delta = Math.min(frameTime, 0.1);
     const elapsed = state.clock.getElapsedTime();
 
-    if (state.playing && !state.paused && !state.noteOpen) {
-        // Movement with collision detection
-        const speed = state.sprinting ? state.sprintSpeed : state.walkSpeed;
-
-        state.direction.z = Number(state.moveForward) - Number(state.moveBackward);
-        state.direction.x = Number(state.moveRight) - Number(state.moveLeft);
-        state.direction.normalize();
-
-        if (state.direction.length() > 0) {
-            // Get camera forward/right vectors (XZ plane only)
-            const camDir = new THREE.Vector3();
-            camera.getWorldDirection(camDir);
-            camDir.y = 0; camDir.normalize();
-            const camRight = new THREE.Vector3();
-            camRight.crossVectors(camDir, new THREE.Vector3(0, 1, 0)).normalize();
-
-            // Calculate desired movement
-            const moveVec = new THREE.Vector3();
-            moveVec.addScaledVector(camDir, state.direction.z * speed * delta);
-            moveVec.addScaledVector(camRight, state.direction.x * speed * delta);
-
-            // Save position
-            const oldX = camera.position.x;
-            const oldZ = camera.position.z;
-
-            // Try X movement
-            camera.position.x += moveVec.x;
-            if (checkCollision(camera.position)) {
-                camera.position.x = oldX; // Blocked on X
-            }
-
-            // Try Z movement
-            camera.position.z += moveVec.z;
-            if (checkCollision(camera.position)) {
-                camera.position.z = oldZ; // Blocked on Z
-            }
+    if (editor) editor.update(delta);
+    gamepad.update(delta);
+
+    // Game time — and every sequence scheduled on it — stops for the pause
+    // menu, a note, the inventory or the editor; cutscenes play on it
+    const gameRunning = state.playing && !state.paused && !state.noteOpen && !state.inventoryOpen && !state.editing;
+    timers.paused = !gameRunning;
+    timers.update(delta);
+    uiTimers.update(delta);
+    dom.gameHud.classList.toggle('frozen', !gameRunning);
+
+    if (gameRunning && !state.cutscene) {
+        // Stick and swipe look, the way PointerLockControls turns for the mouse
+        _lookTurn.copy(input.look).multiplyScalar(state.lookSpeed * delta)
+            .add(input.swipe).multiplyScalar(controls.pointerSpeed);
+        input.swipe.set(0, 0);
+        if (_lookTurn.lengthSq() > 0 && !transition) {
+            _look.setFromQuaternion(camera.quaternion);
+            _look.y -= _lookTurn.x;
+            _look.x = THREE.MathUtils.clamp(_look.x - _lookTurn.y, -Math.PI / 2, Math.PI / 2);
+            camera.quaternion.setFromEuler(_look);
         }
 
-        // Determine player level
-        const playerY = camera.position.y;
-        let floorY = 0;
-        if (playerY > 2) floorY = 4;         // Rooftop
-        else if (playerY < 0) floorY = -4;   // Underground
-        camera.position.y = floorY + state.playerHeight + getHeadBob(delta,
-            state.moveForward || state.moveBackward || state.moveLeft || state.moveRight,
-            state.sprinting);
-
-        // Clamp to level bounds
-        if (floorY === -4) {
-            // Underground: tunnels + lab
-            camera.position.x = THREE.MathUtils.clamp(camera.position.x, -15.5, 39.5);
-            camera.position.z = THREE.MathUtils.clamp(camera.position.z, -42.5, -23.5);
-        } else if (floorY === 4) {
-            // Rooftop
-            camera.position.x = THREE.MathUtils.clamp(camera.position.x, 20.5, 49.5);
-            camera.position.z = THREE.MathUtils.clamp(camera.position.z, -20.5, -0.5);
-        } else {
-            // Ground floor
-            camera.position.x = THREE.MathUtils.clamp(camera.position.x, -17.5, 17.5);
-            camera.position.z = THREE.MathUtils.clamp(camera.position.z, -27.5, 13.5);
+        // Movement — the capsule controller handles collision, steps and gravity
+        const sprinting = input.isDown('sprint');
+        const speed = sprinting ? state.sprintSpeed : state.walkSpeed;
+
+        input.movement(_moveInput);
+        state.direction.set(_moveInput.x, 0, _moveInput.y);
+
+        // Camera forward/right vectors (XZ plane only)
+        camera.getWorldDirection(_camDir);
+        _camDir.y = 0;
+        _camDir.normalize();
+        _camRight.crossVectors(_camDir, THREE.Object3D.DEFAULT_UP).normalize();
+        _moveVel.set(0, 0, 0)
+            .addScaledVector(_camDir, state.direction.z * speed)
+            .addScaledVector(_camRight, state.direction.x * speed);
+        if (transition) updateTransition(delta);
+        else player.update(delta, _moveVel);
+
+        // Level the player is in — the hatch ladder and the stair tower
+        // connect them, and walls and parapets keep the player inside
+        const feet = player.position;
+        const level = updateActiveLevel(feet);
+
+        // First time down the hatch
+        if (level === levels.cooling_tunnels && player.grounded && !state.enteredTunnels) {
+            state.enteredTunnels = true;
+            showHint('You descend into the cooling tunnels...');
+            checkpoint('Cooling Tunnels');
         }
 
+        if (feet.y < KILL_Y) vitals.damage(vitals.health, 'fall');
+
+        const isMoving = player.grounded && state.direction.lengthSq() > 0;
+        camera.position.copy(feet);
+        camera.position.y += state.playerHeight + getHeadBob(delta, isMoving, sprinting);
+
         // Rooftop edge trigger — Chapter 1 ending
-        if (floorY === 4 && state.rooftopData && !state.rooftopData.triggerZone.userData.triggered) {
+        if (state.rooftopData && !state.rooftopData.triggerZone.userData.triggered) {
             const tz = state.rooftopData.triggerZone;
             // Use pre-cached bounding box
             if (!tz.userData._cachedBox) {
@@ -825,7 +1788,7 @@ function animate() {
             }
             if (tz.userData._cachedBox.containsPoint(camera.position)) {
                 tz.userData.triggered = true;
-                triggerChapter2Cinematic();
+                chapters.complete();
             }
         }
 
@@ -833,20 +1796,18 @@ function animate() {
         if (flashlightTarget) {
             camera.getWorldDirection(_flashDir);
             flashlightTarget.position.copy(camera.position).add(_flashDir.multiplyScalar(10));
-            flashlight.position.copy(camera.position);
+            flashlight.light.position.copy(camera.position);
         }
 
         // Battery drain
-        if (state.flashlightOn && state.battery > 0) {
-            state.battery -= delta * 1.2;
-            if (state.battery <= 0) {
-                state.battery = 0;
-                state.flashlightOn = false;
-                flashlight.visible = false;
-            }
-        }
-        dom.batteryBar.style.width = state.battery + '%';
-        const isLow = state.battery < 25;
+        flashlight.update(delta);
+        updateUVBeam(flashlight.light, flashlight.uvStrength);
+        dom.batteryBar.style.width = flashlight.level * 100 + '%';
+        const spares = inventory.count('battery');
+        dom.batterySpares.textContent = spares > 0 ? `+${spares}` : '';
+        dom.beamMode.textContent = flashlight.mode.name;
+        dom.beamMode.classList.toggle('uv', !!flashlight.mode.uv);
+        const isLow = flashlight.level < 0.25;
         if (isLow !== dom.batteryBar.classList.contains('low')) {
             dom.batteryBar.classList.toggle('low', isLow);
         }
@@ -854,46 +1815,25 @@ function animate() {
         // Interaction raycast for prompt (throttle to every 3rd frame)
         _interactFrame++;
         if (_interactFrame % 3 === 0) {
-            raycaster.setFromCamera(_center, camera);
-            raycaster.far = 5;
-            const hits = raycaster.intersectObjects(interactables, true);
-            let foundInteractable = false;
-            if (hits.length > 0) {
-                const obj = hits[0].object.userData.type ? hits[0].object : hits[0].object.parent;
-                // Only show prompt for objects that are actually interactable
-                if (obj.userData && obj.userData.type && obj.userData.interactable !== false) {
-                    dom.interactionPrompt.classList.remove('hidden');
-                    dom.crosshair.classList.add('active');
-                    dom.promptText.textContent = obj.userData.promptText || 'Interact';
-                    foundInteractable = true;
-                }
-            }
-            if (!foundInteractable) {
-                dom.interactionPrompt.classList.add('hidden');
-                dom.crosshair.classList.remove('active');
-            }
+            aimedObject = findAimedInteractable();
+            updateInteractionPrompt();
         }
+        interactions.update(delta, aimedObject);
 
         // Update systems
-        if (blizzardSystem) {
-            blizzardSystem.update(delta, elapsed);
-            // Hide blizzard when underground or inside ground floor
-            const showBlizzard = floorY >= 4;
-            if (blizzardSystem.particles) blizzardSystem.particles.visible = showBlizzard;
-            if (blizzardSystem.streaks) blizzardSystem.streaks.visible = showBlizzard;
-            if (blizzardSystem.fogPlanes) {
-                blizzardSystem.fogPlanes.forEach(fp => fp.visible = showBlizzard);
-            }
+        if (blizzardSystem) blizzardSystem.update(delta, elapsed);
+        // Horror systems run only in chapters that enable them
+        chapters.update(delta, elapsed);
+        if (horrorEvents && chapters.isEnabled('horrorEvents')) horrorEvents.update(delta, elapsed, camera.position);
+        if (entitySystem && chapters.isEnabled('entity')) {
+            entitySystem.update(delta, elapsed, player.position, camera.position, flashlight.on);
         }
-        // Horror events and entity only active in chapter 2+
-        if (horrorEvents && state.chapter >= 2) horrorEvents.update(delta, elapsed, camera.position);
-        if (entitySystem && state.chapter >= 2) entitySystem.update(delta, elapsed, camera.position);
         if (audioManager) audioManager.update(delta, camera.position);
 
-        // Steam burst hazard cycling (only when underground)
-        if (floorY === -4 && state.tunnelData && state.tunnelData.steamBursts) {
-            for (let i = 0; i < state.tunnelData.steamBursts.length; i++) {
-                const sb = state.tunnelData.steamBursts[i];
+        // Steam burst hazard cycling (only in the player's level)
+        if (level) {
+            for (let i = 0; i < level.steamBursts.length; i++) {
+                const sb = level.steamBursts[i];
                 sb.timer += delta;
                 if (sb.timer > 3) {
                     sb.timer = 0;
@@ -907,12 +1847,27 @@ function animate() {
                         }
                     }
                 }
+                // Scalds for as long as the player stands in an active burst
+                if (sb.active && camera.position.distanceTo(sb.position) < sb.radius) {
+                    vitals.damage(STEAM_DAMAGE * delta, 'steam');
+                }
             }
         }
 
+        // Vitals — sanity drains without a light and near the entity
+        const entityDistance = entitySystem && entitySystem.visible
+            ? entitySystem.ai.position.distanceTo(camera.position)
+            : Infinity;
+        vitals.update(delta, { inDarkness: !flashlight.on, entityDistance });
+        dom.healthBar.style.width = (vitals.health / vitals.maxHealth) * 100 + '%';
+        dom.sanityBar.style.width = (vitals.sanity / vitals.maxSanity) * 100 + '%';
+        // Film grain thickens as sanity slips
+        if (composer.passes.length > 3) {
+            composer.passes[3].uniforms.intensity.value = 0.08 + (1 - vitals.sanity / vitals.maxSanity) * 0.22;
+        }
+
         // Footstep sounds
-        const isMoving = state.moveForward || state.moveBackward || state.moveLeft || state.moveRight;
-        if (isMoving) audioManager.updateFootsteps(delta, state.sprinting);
+        if (isMoving) audioManager.updateFootsteps(delta, sprinting, camera.position);
 
         // Film grain time
         if (composer.passes.length > 3) {
@@ -920,11 +1875,37 @@ function animate() {
         }
     }
 
+    if (lightingSystem) lightingSystem.update(delta);
+    // After the hall flicker, so a cinematic's lights win
+    if (gameRunning) cinematics.update(delta);
+    updateSkipPrompt();
+
+    // Menus are cheap to draw, so only time the game itself
+    if (state.playing && !state.paused) governor.update(frameTime);
+    updatePerfHud(delta);
+
+    renderer.info.reset();
     composer.render();
 }
 
+// ── Performance Overlay ──
+function updatePerfHud(delta) {
+    if (!settings.get('performanceHud')) return;
+    perfHudTimer -= delta;
+    if (perfHudTimer > 0) return;
+    perfHudTimer = 0.5;
+    const { render } = renderer.info;
+    const scale = Math.round(governor.step.pixelScale * 100);
+    dom.perfHud.textContent = [
+        `FPS ${governor.fps.toFixed(0)} · ${(governor.frameTime * 1000).toFixed(1)} ms`,
+        `Draw calls ${render.calls}`,
+        `Triangles ${render.triangles.toLocaleString()}`,
+        `Resolution ${scale}%${governor.enabled ? ` · step ${governor.level}` : ''}`,
+    ].join('\n');
+}
+
 // ── Start ──
 init().catch(err => {
     console.error('Failed to initialize:', err);
     dom.loadingText.textContent = 'ERROR: ' + err.message;
-});
\ No newline at end of file
+});
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+/**
+ * Owns chapter progression. Each chapter is a plain definition object
+ * (see Chapters.js) declaring its title, spawn point, which horror systems
+ * run, zone events, objectives and optional enter/exit/update hooks.
+ *
+ * Events dispatched:
+ *   'chapterstart' { chapter, restored }
+ *   'chapterend'   { chapter, next }
+ *   'objective'    { chapter, objective }  (objective is null when all are done)
+ */
+export class ChapterManager extends THREE.EventDispatcher {
+    constructor(chapters, game) {
+        super();
+        this.chapters = new Map(chapters.map(c => [c.id, c]));
+        this.game = game; // context object handed to chapter hooks
+        this.current = null;
+        this.objective = null;
+    }
+
+    get id() {
+        return this.current ? this.current.id : null;
+    }
+
+    get(id) {
+        const chapter = this.chapters.get(id);
+        if (!chapter) throw new Error(`Unknown chapter: ${id}`);
+        return chapter;
+    }
+
+    // Enter a chapter. `restored` skips one-shot presentation (title cards)
+    // when rebuilding from a save; `spawn` moves the player to its spawn point.
+    start(id, { restored = false, spawn = false } = {}) {
+        const chapter = this.get(id);
+        if (this.current && this.current.onExit) this.current.onExit(this.game);
+
+        this.current = chapter;
+        this.objective = null;
+        this.game.state.chapter = chapter.id;
+
+        if (this.game.horrorEvents) this.game.horrorEvents.setEvents(chapter.events || []);
+        if (spawn) this.placeAtSpawn(chapter.id);
+        if (chapter.onEnter) chapter.onEnter(this.game, { restored });
+
+        this.dispatchEvent({ type: 'chapterstart', chapter, restored });
+        this._refreshObjective();
+    }
+
+    // Finish the current chapter and move on to the next one, if any
+    complete() {
+        if (!this.current) return;
+        const chapter = this.current;
+        const next = chapter.next != null ? this.get(chapter.next) : null;
+        this.dispatchEvent({ type: 'chapterend', chapter, next });
+        if (next) this.start(next.id);
+    }
+
+    // Whether a horror system ('horrorEvents', 'entity', ...) runs this chapter
+    isEnabled(system) {
+        return !!(this.current && this.current.systems && this.current.systems[system]);
+    }
+
+    placeAtSpawn(id = this.id) {
+        const { spawn } = this.get(id);
+        this.game.placePlayer(spawn.position, spawn.lookAt);
+    }
+
+    update(delta, elapsed) {
+        if (!this.current) return;
+        if (this.current.update) this.current.update(this.game, delta, elapsed);
+        this._refreshObjective();
+    }
+
+    // The active objective is the first one whose done() check fails, so
+    // progress restored from a save is picked up without extra bookkeeping.
+    _refreshObjective() {
+        const objectives = this.current.objectives || [];
+        const active = objectives.find(o => !o.done(this.game)) || null;
+        if (active === this.objective) return;
+        this.objective = active;
+        this.dispatchEvent({ type: 'objective', chapter: this.current, objective: active });
+    }
+}
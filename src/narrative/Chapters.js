@@ -0,0 +1,63 @@
+/**
+ * Chapter definitions consumed by ChapterManager.
+ *
+ * Hooks and objective checks receive the game context built in main.js
+ * (state, inventory, camera, horrorEvents, spawnEntity, despawnEntity, isOpened,
+ * showHint, placePlayer).
+ * Positions are [x, y, z] arrays; y already includes the player's eye height.
+ */
+export const CHAPTERS = [
+    {
+        id: 1,
+        title: 'Chapter 1',
+        name: 'Return to Legacy',
+        next: 2,
+        // Start inside the lobby, facing the inner hallway door
+        spawn: { position: [0, 1.7, 5.5], lookAt: [0, 1.7, 4] },
+        // Chapter 1 is pure exploration — no scares, no entity
+        systems: { horrorEvents: false, entity: false },
+        events: [],
+        objectives: [
+            { id: 'lobby_door', text: 'Get past the lobby door', done: g => g.isOpened('lobby_door') },
+            { id: 'keycard', text: 'Find a Level 5 access card', done: g => g.inventory.has('keycard_5') },
+            { id: 'security_door', text: 'Open the security door', done: g => g.isOpened('security_door') },
+            { id: 'server_core', text: 'Investigate the server core', done: g => g.state.finalTerminalRead },
+        ],
+        onEnter(game, { restored }) {
+            if (!restored) game.showHint('Legacy HQ — Ottawa, Canada\nFebruary 2026');
+        },
+    },
+    {
+        id: 2,
+        title: 'Chapter 2',
+        name: 'Lockdown',
+        next: null,
+        // Server core, facing the maintenance hatch
+        spawn: { position: [-2, 1.7, -19.5], lookAt: [-13, 1.7, -26] },
+        systems: { horrorEvents: true, entity: true },
+        events: [
+            { id: 'lobby_enter', zone: [0, 1.7, 8], radius: 4, type: 'lights_out' },
+            { id: 'hall_midpoint', zone: [0, 1.7, -3], radius: 3, type: 'shadow_figure' },
+            { id: 'office_enter', zone: [-6, 1.7, -3], radius: 3, type: 'door_slam' },
+            { id: 'server_approach', zone: [5, 1.7, -5], radius: 3, type: 'whisper' },
+            { id: 'server_deep', zone: [9, 1.7, -9], radius: 3, type: 'heartbeat' },
+            { id: 'break_room', zone: [-12, 1.7, -19], radius: 4, type: 'tv_scare' },
+            { id: 'basement_enter', zone: [12, 1.7, -16], radius: 3, type: 'lights_out' },
+            { id: 'basement_deep', zone: [12, 1.7, -24], radius: 3, type: 'final_scare' },
+        ],
+        objectives: [
+            { id: 'hatch', text: 'Find the maintenance hatch', done: g => g.state.enteredTunnels },
+            { id: 'valves', text: 'Restore power — turn all three valves', done: g => g.state.valvesTurned >= 3 },
+            { id: 'keycard_10', text: 'Find a way out of the lab', done: g => g.inventory.has('keycard_10') },
+            { id: 'escape', text: 'Get to the roof', done: g => g.isOpened('escape_door_trigger') },
+            { id: 'roof_edge', text: 'Reach the edge of the roof', done: g => g.state.rooftopData.triggerZone.userData.triggered },
+        ],
+        onEnter(game) {
+            // The Glitch Entity wakes up with the lockdown
+            game.spawnEntity();
+        },
+        onExit(game) {
+            game.despawnEntity();
+        },
+    },
+];
@@ -0,0 +1,317 @@
+import * as THREE from 'three';
+
+const EASES = {
+    linear: t => t,
+    in: t => t * t,
+    out: t => 1 - (1 - t) * (1 - t),
+    inOut: t => t * t * (3 - 2 * t),
+};
+
+/**
+ * Plays the timelines in Cinematics.js against the game context built in
+ * main.js (scene, camera, screen, findObject, playSound, showHint and the
+ * functions timelines call).
+ *
+ * State tracks (lights, camera, object, screen) are worked out from the
+ * playhead alone, so seek() can show any moment. Event tracks (audio, hint,
+ * call) fire as the playhead passes their keys. Whatever the state tracks
+ * touch is recorded when the cinematic starts and put back when it ends,
+ * however it ends; the timeline's onEnd then sets what should last.
+ *
+ * Skipping jumps to the end: sounds and hints are dropped, calls still run
+ * in order. Seeking back replays sounds and hints but never repeats a call.
+ *
+ * Events dispatched:
+ *   'start' { id }
+ *   'end'   { id, skipped }
+ */
+export class CinematicPlayer extends THREE.EventDispatcher {
+    constructor(cinematics, game) {
+        super();
+        this.cinematics = cinematics;
+        this.game = game; // context object handed to tracks and hooks
+        this.current = null;
+        this.time = 0;
+    }
+
+    get playing() {
+        return this.current !== null;
+    }
+
+    get duration() {
+        return this.current ? this.current.timeline.duration : 0;
+    }
+
+    play(id) {
+        const timeline = this.cinematics[id];
+        if (!timeline) throw new Error(`Unknown cinematic: ${id}`);
+        this.stop();
+        this.current = {
+            id,
+            timeline,
+            tracks: timeline.tracks.map(track => prepareTrack(track, this.game)),
+            called: new Set(), // call keys already run
+        };
+        this.time = 0;
+        this.dispatchEvent({ type: 'start', id });
+        this.fire(-Infinity, 0, true);
+        this.apply();
+    }
+
+    update(delta) {
+        if (!this.current) return;
+        this.seek(this.time + delta, true);
+        if (this.time >= this.duration) this.finish(false);
+    }
+
+    // Move the playhead; `live` plays the sounds and hints passed on the way
+    seek(time, live = false) {
+        if (!this.current) return;
+        const to = THREE.MathUtils.clamp(time, 0, this.duration);
+        if (to > this.time) this.fire(this.time, to, live);
+        this.time = to;
+        this.apply();
+    }
+
+    skip() {
+        if (!this.current || this.current.timeline.skippable === false) return;
+        this.seek(this.duration);
+        this.finish(true);
+    }
+
+    // Abandon it (e.g. quitting to the menu): everything goes back, onEnd
+    // doesn't run
+    stop() {
+        if (!this.current) return;
+        this.current.tracks.forEach(track => track.restore?.());
+        this.current = null;
+    }
+
+    finish(skipped) {
+        const { id, timeline } = this.current;
+        this.stop();
+        if (timeline.onEnd) timeline.onEnd(this.game);
+        this.dispatchEvent({ type: 'end', id, skipped });
+    }
+
+    // Event keys in (from, to]
+    fire(from, to, live) {
+        const { tracks, called } = this.current;
+        for (const track of tracks) {
+            if (!track.fire) continue;
+            for (const key of track.keys) {
+                if (key.at <= from || key.at > to) continue;
+                if (track.once) {
+                    if (called.has(key)) continue;
+                    called.add(key);
+                }
+                track.fire(key, live);
+            }
+        }
+    }
+
+    apply() {
+        for (const track of this.current.tracks) {
+            if (!track.apply) continue;
+            // Every key reached so far, folded in order, then the next key
+            // blended in if it eases
+            let state = {};
+            let from = 0;
+            let next = null;
+            for (const key of track.keys) {
+                if (key.at > this.time) {
+                    next = key;
+                    break;
+                }
+                state = key.values.release ? { release: true } : { ...state, ...key.values, release: false };
+                from = key.at;
+            }
+            const ease = next && EASES[next.ease];
+            const k = ease ? ease((this.time - from) / (next.at - from)) : 0;
+            track.apply(state, k > 0 ? next.values : null, k, this.time);
+        }
+    }
+}
+
+// What each track type does with its keys. State tracks get apply(state,
+// next, k, time) — the folded key fields, the next key's fields and how far
+// to blend into them — and restore(); event tracks get fire(key, live).
+const TRACKS = {
+    // Every light in the scene, relative to its level at the start:
+    // { scale, flicker, look(game, base) } where `look` poses the lights
+    // from the recorded base levels, once as its key is reached, and holds
+    // them until a later key. Flicker steps every 0.1 s and is the same at
+    // the same playhead, so scrubbing shows what playing did.
+    lights(track, game) {
+        let posed = null; // look the lights are in
+        const base = [];
+        game.scene.traverse(obj => {
+            if (obj.isLight) base.push({ light: obj, intensity: obj.intensity, distance: obj.distance, color: obj.color.clone() });
+        });
+        return {
+            apply(state, next, k, time) {
+                if (state.look) {
+                    if (posed !== state.look) state.look(game, base);
+                    posed = state.look;
+                    return;
+                }
+                posed = null;
+                let scale = state.scale ?? 1;
+                if (next && next.scale !== undefined) scale += (next.scale - scale) * k;
+                const step = Math.floor(time * 10);
+                base.forEach(({ light, intensity }, i) => {
+                    if (!state.flicker) light.intensity = intensity * scale;
+                    else light.intensity = noise(step * 31 + i) < 0.4 ? 0.05 : intensity * scale * 1.5;
+                });
+            },
+            restore() {
+                for (const { light, intensity, distance, color } of base) {
+                    light.intensity = intensity;
+                    if (distance !== undefined) light.distance = distance;
+                    light.color.copy(color);
+                }
+            },
+        };
+    },
+
+    // Where the camera looks: { lookAt } as [x, y, z], an object id, or
+    // null for the player's own view. Put back at the end unless the track
+    // says `restore: false`.
+    camera(track, game) {
+        const { camera } = game;
+        const own = camera.quaternion.clone();
+        const orient = (lookAt, target) => {
+            if (!lookAt) return target.copy(own);
+            if (typeof lookAt === 'string') game.findObject(lookAt).getWorldPosition(_target);
+            else _target.fromArray(lookAt);
+            return target.setFromRotationMatrix(_matrix.lookAt(camera.position, _target, camera.up));
+        };
+        return {
+            apply(state, next, k) {
+                orient(state.lookAt, camera.quaternion);
+                if (next && 'lookAt' in next) camera.quaternion.slerp(orient(next.lookAt, _quat), k);
+            },
+            restore() {
+                if (track.restore !== false) camera.quaternion.copy(own);
+            },
+        };
+    },
+
+    // Properties of one level object (`target`), by name or dotted path —
+    // 'intensity', 'color', 'position', 'material.emissiveIntensity'. Colors
+    // and vectors are written as hex numbers and [x, y, z]. A key with
+    // `release: true` stops the track driving it.
+    object(track, game) {
+        const target = game.findObject(track.target);
+        if (!target) throw new Error(`Cinematic object track: unknown object "${track.target}"`);
+        const originals = {};
+        for (const key of track.keys) {
+            for (const [path, raw] of Object.entries(key.values)) {
+                if (path === 'release') continue;
+                const value = readPath(target, path);
+                if (!(path in originals)) originals[path] = value.clone ? value.clone() : value;
+                key.values[path] = convert(value, raw);
+            }
+        }
+        return {
+            apply(state, next, k) {
+                if (state.release) return;
+                for (const [path, value] of Object.entries(state)) {
+                    if (path === 'release') continue;
+                    writePath(target, path, next && path in next ? blend(value, next[path], k) : value);
+                }
+            },
+            restore() {
+                for (const [path, value] of Object.entries(originals)) writePath(target, path, value);
+            },
+        };
+    },
+
+    // Full-screen effects: { blackout, shake } switched on and off
+    screen(track, game) {
+        const blackout = document.createElement('div');
+        blackout.className = 'chapter-blackout';
+        document.body.appendChild(blackout);
+        return {
+            apply(state) {
+                blackout.classList.toggle('active', !!state.blackout);
+                game.screen.classList.toggle('screen-shake', !!state.shake);
+            },
+            restore() {
+                blackout.remove();
+                game.screen.classList.remove('screen-shake');
+            },
+        };
+    },
+
+    // { sound } from the game's sound names
+    audio: (track, game) => ({
+        fire(key, live) {
+            if (live) game.playSound(key.sound);
+        },
+    }),
+
+    // { text } shown as a hint
+    hint: (track, game) => ({
+        fire(key, live) {
+            if (live) game.showHint(key.text);
+        },
+    }),
+
+    // { call(game) } — changes to the game itself, so they run even when
+    // skipped, and only ever once
+    call: (track, game) => ({
+        once: true,
+        fire(key) {
+            key.call(game);
+        },
+    }),
+};
+
+function prepareTrack(track, game) {
+    const make = TRACKS[track.type];
+    if (!make) throw new Error(`Unknown cinematic track type: ${track.type}`);
+    const keys = [...track.keys]
+        .sort((a, b) => a.at - b.at)
+        .map(({ at, ease, ...values }) => ({ at, ease, values, ...values }));
+    return { ...make({ ...track, keys }, game), keys };
+}
+
+// 0–1, the same for the same n
+function noise(n) {
+    const x = Math.sin(n * 12.9898) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+function readPath(obj, path) {
+    return path.split('.').reduce((o, name) => o[name], obj);
+}
+
+function writePath(obj, path, value) {
+    const names = path.split('.');
+    const last = names.pop();
+    const owner = names.reduce((o, name) => o[name], obj);
+    if (owner[last] && owner[last].copy) owner[last].copy(value);
+    else owner[last] = value;
+}
+
+function convert(current, raw) {
+    if (current && current.isColor) return new THREE.Color(raw);
+    if (current && current.isVector3) return new THREE.Vector3().fromArray(raw);
+    if (current && current.isEuler) return new THREE.Euler().fromArray(raw);
+    return raw;
+}
+
+function blend(a, b, k) {
+    if (a.isColor) return _color.lerpColors(a, b, k);
+    if (a.isVector3) return _vector.lerpVectors(a, b, k);
+    if (a.isEuler) return _euler.set(a.x + (b.x - a.x) * k, a.y + (b.y - a.y) * k, a.z + (b.z - a.z) * k);
+    return a + (b - a) * k;
+}
+
+const _target = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _quat = new THREE.Quaternion();
+const _color = new THREE.Color();
+const _vector = new THREE.Vector3();
+const _euler = new THREE.Euler();
@@ -0,0 +1,95 @@
+/**
+ * Cinematic timelines played by CinematicPlayer.
+ *
+ * A timeline is `duration` seconds of tracks, each a `type` and its `keys`,
+ * every key at a time `at` in seconds. Lights, camera, object and screen
+ * tracks hold their last key until the next, easing into it when that key
+ * has an `ease` (linear, in, out, inOut); audio, hint and call tracks fire
+ * once as the playhead passes. See CinematicPlayer.js for each track's keys.
+ *
+ * Functions receive the game context built in main.js (scene, camera,
+ * screen, findObject, playSound, showHint, unlockHatch,
+ * applyLockdownLighting, completeChapter, checkpoint). Whatever the tracks
+ * change is put back when the cinematic ends or is skipped; `onEnd` then
+ * sets what should last.
+ */
+export const CINEMATICS = {
+    // Chapter 1 ending: reading the final terminal boots the server core and
+    // locks the building down
+    lockdown: {
+        duration: 14,
+        tracks: [
+            {
+                type: 'lights',
+                keys: [
+                    { at: 0, scale: 2.5 }, // System boot: everything surges
+                    { at: 2, flicker: true },
+                    { at: 4.1, flicker: false },
+                    { at: 5.5, scale: 0.01 }, // Emergency lockdown: blackout
+                    { at: 7.5, scale: 1, look: (g, base) => g.applyLockdownLighting(base) },
+                ],
+            },
+            {
+                // After the lights track, so its surge wins over theirs
+                type: 'object',
+                target: 'core_light',
+                keys: [
+                    { at: 0, intensity: 8, distance: 20, color: 0xaa00ff },
+                    { at: 5.5, release: true },
+                ],
+            },
+            {
+                // The player is left facing the hatch they're told to find
+                type: 'camera',
+                restore: false,
+                keys: [
+                    { at: 0, lookAt: null },
+                    { at: 1.5, lookAt: 'core_light', ease: 'inOut' },
+                    { at: 11.5, lookAt: 'core_light' },
+                    { at: 13, lookAt: 'hatch_glow', ease: 'inOut' },
+                ],
+            },
+            {
+                type: 'audio',
+                keys: [
+                    { at: 0, sound: 'terminal' },
+                    { at: 2, sound: 'alarm' },
+                    { at: 4.5, sound: 'bassBoom' },
+                    { at: 5.5, sound: 'scare' },
+                    { at: 7.5, sound: 'heartbeat' },
+                    { at: 12, sound: 'click' },
+                ],
+            },
+            {
+                type: 'hint',
+                keys: [
+                    { at: 0, text: 'SYSTEM BOOT DETECTED...' },
+                    { at: 2, text: '⚠ WARNING: UNAUTHORIZED SYSTEM ACCESS ⚠' },
+                    { at: 5.5, text: 'EMERGENCY LOCKDOWN INITIATED' },
+                    { at: 12, text: 'Maintenance hatch unlocked — find it!' },
+                ],
+            },
+            {
+                type: 'screen',
+                keys: [
+                    { at: 4.5, shake: true },
+                    { at: 5.3, shake: false },
+                    { at: 5.5, blackout: true },
+                    { at: 7.5, blackout: false },
+                ],
+            },
+            {
+                type: 'call',
+                keys: [
+                    { at: 12, call: g => g.unlockHatch() },
+                ],
+            },
+        ],
+        onEnd(game) {
+            game.applyLockdownLighting();
+            game.showHint('Find a way out!');
+            game.completeChapter();
+            game.checkpoint('Lockdown');
+        },
+    },
+};
@@ -0,0 +1,281 @@
+import * as THREE from 'three';
+
+/**
+ * Capsule character controller against the level colliders (SpatialHash).
+ *
+ * `position` is the player's feet. Each update moves the capsule in small
+ * sub-steps and pushes it out of any box it ends up in, so walls are slid
+ * along instead of stopping both axes, corners round off, and floors and
+ * ceilings block vertically. Ledges up to `stepHeight` are stepped onto,
+ * a downward ray keeps the player on the ground going down stairs, and off
+ * the ground gravity takes over.
+ *
+ * Inside a ladder's climb volume (see `ladders` from the level loader)
+ * moving towards the ladder climbs up and moving away climbs down, until the
+ * player steps off at the bottom or climbs out over the top.
+ *
+ * Events dispatched:
+ *   'land' { speed }   touched ground again after falling (speed in m/s)
+ */
+export class CharacterController extends THREE.EventDispatcher {
+    constructor(colliders, options = {}) {
+        super();
+        const {
+            radius = 0.25,
+            height = 1.8,
+            stepHeight = 0.35,
+            gravity = 18,
+            maxFallSpeed = 30,
+            climbSpeed = 1.6,
+        } = options;
+
+        this.colliders = colliders;
+        this.radius = radius;
+        this.height = height;
+        this.stepHeight = stepHeight;
+        this.gravity = gravity;
+        this.maxFallSpeed = maxFallSpeed;
+        this.climbSpeed = climbSpeed;
+        this.ladders = [];
+
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.grounded = false;
+        this.groundY = null; // height of the ground under the player, if in reach
+        this.climbing = null; // ladder being climbed
+    }
+
+    // Place the feet at `position` (spawns, checkpoints, hatches)
+    teleport(position) {
+        this.position.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.grounded = false;
+        this.climbing = null;
+        this.resolve();
+        this.snapToGround(this.stepHeight);
+    }
+
+    // `move` is the wanted horizontal velocity in m/s
+    update(delta, move) {
+        this.climbing = this.findLadder(move);
+        if (this.climbing) {
+            this.climb(delta, move);
+            return;
+        }
+
+        const wasGrounded = this.grounded;
+        this.velocity.x = move.x;
+        this.velocity.z = move.z;
+        if (wasGrounded) this.velocity.y = 0;
+        else this.velocity.y = Math.max(this.velocity.y - this.gravity * delta, -this.maxFallSpeed);
+        const fallSpeed = -this.velocity.y;
+
+        // Horizontal, stepping up when a low ledge is in the way
+        _start.copy(this.position);
+        _wish.set(move.x * delta, 0, move.z * delta);
+        this.slide(_wish);
+        if (wasGrounded && horizontalDistance(_start, this.position) < _wish.length() * 0.99) {
+            this.tryStep(_start, _wish);
+        }
+
+        // Vertical
+        this.grounded = false;
+        _wish.set(0, this.velocity.y * delta, 0);
+        const contact = this.slide(_wish);
+        if (contact.ceiling && this.velocity.y > 0) this.velocity.y = 0;
+        if (contact.ground) this.grounded = true;
+
+        // Follow the ground down steps instead of hopping off each one
+        if (this.velocity.y <= 0) this.snapToGround(wasGrounded ? this.stepHeight : 0.02);
+        else this.probeGround();
+
+        if (this.grounded) {
+            this.velocity.y = 0;
+            if (!wasGrounded) this.dispatchEvent({ type: 'land', speed: fallSpeed });
+        }
+    }
+
+    // ── Ladders ──
+    // The ladder whose volume holds the player's waist, unless they are
+    // standing on the ground and walking away from it — or standing at the
+    // top, where walking on means stepping off onto the landing
+    findLadder(move) {
+        _waist.copy(this.position).setY(this.position.y + this.height * 0.3);
+        for (const ladder of this.ladders) {
+            if (!ladder.volume.containsPoint(_waist)) continue;
+            const towards = -move.dot(ladder.normal);
+            if (this.grounded && (towards <= 0 || this.position.y > ladder.top - this.height)) continue;
+            return ladder;
+        }
+        return null;
+    }
+
+    // Up or down the ladder, with sideways moves slowed down; no gravity
+    climb(delta, move) {
+        const ladder = this.climbing;
+        const towards = -move.dot(ladder.normal);
+        this.velocity.copy(move).addScaledVector(ladder.normal, towards).multiplyScalar(0.5);
+        this.velocity.y = Math.abs(towards) > 0.1 ? Math.sign(towards) * this.climbSpeed : 0;
+
+        _wish.set(this.velocity.x * delta, 0, this.velocity.z * delta);
+        this.slide(_wish);
+        _wish.set(0, this.velocity.y * delta, 0);
+        this.grounded = this.slide(_wish).ground;
+        if (this.grounded) this.velocity.y = 0;
+
+        // Out over the top onto the landing behind the ladder
+        if (towards > 0 && this.position.y + this.height * 0.3 >= ladder.top) {
+            const off = _wish.subVectors(this.position, ladder.at).dot(ladder.normal) + this.radius + 0.05;
+            this.slide(_wish.copy(ladder.normal).multiplyScalar(-off));
+            this.snapToGround(this.height);
+            this.climbing = null;
+        } else {
+            this.probeGround();
+        }
+    }
+
+    // ── Ground ──
+    // Casts down from knee height at the center and around the rim of the
+    // capsule and takes the highest hit, so the player stands on a ledge as
+    // long as part of the footprint is over it. Boxes a ray starts inside are
+    // walls, not ground.
+    probeGround() {
+        let ground = null;
+        const rim = this.radius * 0.95;
+        for (const [dx, dz] of PROBES) {
+            _ray.origin.set(this.position.x + dx * rim, this.position.y + this.stepHeight, this.position.z + dz * rim);
+            const hit = this.colliders.raycast(_ray, this.stepHeight * 2 + 1, box => !box.containsPoint(_ray.origin));
+            if (hit && (ground === null || hit.point.y > ground)) ground = hit.point.y;
+        }
+        this.groundY = ground;
+        return ground;
+    }
+
+    snapToGround(maxDrop) {
+        const ground = this.probeGround();
+        if (ground === null) return;
+        const drop = this.position.y - ground;
+        if (drop >= -1e-3 && drop <= maxDrop) {
+            this.position.y = ground;
+            this.grounded = true;
+        }
+    }
+
+    // Retry a blocked move from `stepHeight` up and settle onto whatever is
+    // under the footprint there. Kept only if it lands on a ledge within step
+    // height and gets further than the blocked move did.
+    tryStep(start, wish) {
+        _blocked.copy(this.position);
+        this.position.copy(start);
+        this.position.y += this.stepHeight;
+        if (!this.overlaps()) {
+            this.slide(wish);
+            const ground = this.probeGround();
+            if (ground !== null && ground > start.y + 1e-3 && ground <= start.y + this.stepHeight + 1e-3) {
+                this.position.y = ground;
+                if (!this.overlaps() &&
+                    horizontalDistance(start, this.position) > horizontalDistance(start, _blocked) + 1e-4) return;
+            }
+        }
+        this.position.copy(_blocked);
+    }
+
+    // ── Collision ──
+    // Move by `displacement` in sub-steps of at most half the radius so thin
+    // walls can't be tunnelled through. Returns the contacts hit on the way.
+    slide(displacement) {
+        const contact = { ground: false, ceiling: false, wall: false };
+        const steps = Math.max(1, Math.ceil(displacement.length() / (this.radius * 0.5)));
+        _part.copy(displacement).divideScalar(steps);
+        for (let i = 0; i < steps; i++) {
+            this.position.add(_part);
+            this.resolve(contact);
+        }
+        return contact;
+    }
+
+    // Push the capsule out of overlapping boxes (a few passes for corners)
+    resolve(contact = {}) {
+        for (let pass = 0; pass < 4; pass++) {
+            let pushed = false;
+            this.colliders.query(this.bounds(_bounds), box => {
+                const depth = this.penetration(box, _normal);
+                if (depth <= 1e-6) return false;
+                this.position.addScaledVector(_normal, depth);
+                if (_normal.y > 0.7) contact.ground = true;
+                else if (_normal.y < -0.7) contact.ceiling = true;
+                else contact.wall = true;
+                pushed = true;
+                return false;
+            });
+            if (!pushed) break;
+        }
+        return contact;
+    }
+
+    overlaps() {
+        return this.colliders.query(this.bounds(_bounds), box => this.penetration(box, _normal) > 1e-6);
+    }
+
+    bounds(target) {
+        const r = this.radius;
+        target.min.set(this.position.x - r, this.position.y, this.position.z - r);
+        target.max.set(this.position.x + r, this.position.y + this.height, this.position.z + r);
+        return target;
+    }
+
+    // Depth the capsule sinks into `box` and the direction out of it
+    penetration(box, normal) {
+        const r = this.radius;
+        const p = this.position;
+        // Capsule axis runs between the centers of its end spheres
+        const bottom = p.y + r;
+        const top = p.y + this.height - r;
+        let y;
+        if (top < box.min.y) y = top;
+        else if (bottom > box.max.y) y = bottom;
+        else y = (Math.max(bottom, box.min.y) + Math.min(top, box.max.y)) / 2;
+
+        _axis.set(p.x, y, p.z);
+        box.clampPoint(_axis, _closest);
+        normal.subVectors(_axis, _closest);
+        const dist = normal.length();
+        if (dist > 1e-6) {
+            if (dist >= r) return 0;
+            normal.divideScalar(dist);
+            return r - dist;
+        }
+
+        // Axis inside the box — leave through the nearest face
+        const exits = [
+            [box.max.x - (p.x - r), 1, 0, 0],
+            [p.x + r - box.min.x, -1, 0, 0],
+            [box.max.z - (p.z - r), 0, 0, 1],
+            [p.z + r - box.min.z, 0, 0, -1],
+            [box.max.y - p.y, 0, 1, 0],
+            [p.y + this.height - box.min.y, 0, -1, 0],
+        ];
+        let best = exits[0];
+        for (const exit of exits) if (exit[0] < best[0]) best = exit;
+        normal.set(best[1], best[2], best[3]);
+        return best[0];
+    }
+}
+
+// Ground probe offsets: center plus eight around the rim
+const PROBES = [[0, 0], ...Array.from({ length: 8 }, (_, i) => [Math.cos(i * Math.PI / 4), Math.sin(i * Math.PI / 4)])];
+
+function horizontalDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+const _start = new THREE.Vector3();
+const _wish = new THREE.Vector3();
+const _blocked = new THREE.Vector3();
+const _part = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _bounds = new THREE.Box3();
+const _waist = new THREE.Vector3();
+const _ray = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(0, -1, 0)); // ground probes
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+
+/**
+ * The player's flashlight: battery charge, beam modes and the low-battery
+ * flicker, applied to the SpotLight from setupLighting.
+ *
+ * Each mode shapes the beam and drains the charge at its own rate (% per
+ * second). Below `lowCharge` the beam dims and cuts out for a moment now and
+ * then; at zero it goes out until a spare battery goes in or it is recharged.
+ * The UV mode tints the beam and shows the hidden `uv` decals (see Decals.js).
+ *
+ * Events dispatched:
+ *   'empty'           the charge ran out
+ *   'mode' { mode }   switched beam mode
+ */
+export const FLASHLIGHT_MODES = [
+    { id: 'normal', name: 'Normal', angle: 45, penumbra: 0.25, intensity: 8, distance: 50, drain: 1.2 },
+    // Floods the room but doesn't reach far — easy on the battery
+    { id: 'wide', name: 'Wide', angle: 65, penumbra: 0.5, intensity: 5, distance: 22, drain: 0.8 },
+    // Tight, bright and hungry
+    { id: 'narrow', name: 'Focused', angle: 20, penumbra: 0.15, intensity: 18, distance: 70, drain: 2.2 },
+    // Barely lights the room, but shows what was written for no one to see
+    { id: 'uv', name: 'UV', angle: 30, penumbra: 0.35, intensity: 3, distance: 14, drain: 1.8, color: 0x6a3cff, uv: true },
+];
+
+export class Flashlight extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        const {
+            maxCharge = 100,
+            lowCharge = 20,
+            color = 0xfff0dd,
+        } = options;
+
+        this.maxCharge = maxCharge;
+        this.lowCharge = lowCharge;
+        this.color = color;
+        this.light = null;
+        this.reset();
+    }
+
+    reset() {
+        this.charge = this.maxCharge;
+        this.on = true;
+        this.mode = FLASHLIGHT_MODES[0];
+        this.nextFlicker = 0;
+        this.dropout = 0; // seconds left of a low-battery cut-out
+        this.apply();
+    }
+
+    // The SpotLight to drive — a rebuilt world brings a new one
+    attach(light) {
+        this.light = light;
+        this.apply();
+    }
+
+    // Returns false if there's no charge to turn it on with
+    toggle() {
+        if (!this.on && this.charge <= 0) return false;
+        this.on = !this.on;
+        this.apply();
+        return true;
+    }
+
+    cycleMode() {
+        const next = (FLASHLIGHT_MODES.indexOf(this.mode) + 1) % FLASHLIGHT_MODES.length;
+        this.mode = FLASHLIGHT_MODES[next];
+        this.apply();
+        this.dispatchEvent({ type: 'mode', mode: this.mode });
+    }
+
+    recharge(amount = this.maxCharge) {
+        this.charge = Math.min(this.maxCharge, this.charge + amount);
+    }
+
+    get level() {
+        return this.charge / this.maxCharge;
+    }
+
+    get full() {
+        return this.charge >= this.maxCharge;
+    }
+
+    // 0–1: how brightly UV decals glow in the beam, flicker included
+    get uvStrength() {
+        if (!this.on || !this.mode.uv || !this.light) return 0;
+        return this.light.intensity / this.mode.intensity;
+    }
+
+    update(delta) {
+        if (!this.on) return;
+        this.charge = Math.max(0, this.charge - this.mode.drain * delta);
+        if (this.charge === 0) {
+            this.on = false;
+            this.apply();
+            this.dispatchEvent({ type: 'empty' });
+            return;
+        }
+
+        // Dimmer the flatter the battery, with cut-outs coming more often
+        let scale = 1;
+        if (this.charge < this.lowCharge) {
+            const left = this.charge / this.lowCharge;
+            this.nextFlicker -= delta;
+            if (this.nextFlicker <= 0) {
+                if (Math.random() < 0.4) this.dropout = 0.05 + Math.random() * 0.12;
+                this.nextFlicker = 0.2 + Math.random() * 2.5 * left;
+            }
+            if (this.dropout > 0) {
+                this.dropout -= delta;
+                scale = 0.05;
+            } else {
+                scale = 0.5 + 0.5 * left;
+            }
+        }
+        if (this.light) this.light.intensity = this.mode.intensity * scale;
+    }
+
+    apply() {
+        if (!this.light) return;
+        const { angle, penumbra, intensity, distance } = this.mode;
+        this.light.visible = this.on;
+        this.light.angle = THREE.MathUtils.degToRad(angle);
+        this.light.penumbra = penumbra;
+        this.light.distance = distance;
+        this.light.intensity = intensity;
+        this.light.color.setHex(this.mode.color ?? this.color);
+    }
+
+    toJSON() {
+        return { charge: this.charge, on: this.on, mode: this.mode.id };
+    }
+
+    load({ charge = this.maxCharge, on = true, mode = FLASHLIGHT_MODES[0].id } = {}) {
+        this.charge = charge;
+        this.on = on && charge > 0;
+        this.mode = FLASHLIGHT_MODES.find(m => m.id === mode) || FLASHLIGHT_MODES[0];
+        this.apply();
+    }
+}
@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+/**
+ * Player health and sanity.
+ *
+ * Health is lost to hazards (steam bursts, the entity) and slowly comes back
+ * once the player has gone a while unhurt. Sanity drains in darkness and
+ * near the entity and recovers in the light — at zero, panic starts costing
+ * health too.
+ *
+ * Events dispatched:
+ *   'damage' { amount, source }
+ *   'death'  { source }
+ */
+export class PlayerVitals extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        const {
+            maxHealth = 100,
+            maxSanity = 100,
+            regenDelay = 6,     // seconds unhurt before health regenerates
+            regenRate = 4,      // health per second
+            darknessDrain = 1.5, // sanity per second without a light
+            entityDrain = 6,    // sanity per second with the entity right beside you
+            entityRange = 10,
+            sanityRecovery = 2,
+            panicDamage = 2,    // health per second at zero sanity
+        } = options;
+
+        this.maxHealth = maxHealth;
+        this.maxSanity = maxSanity;
+        this.regenDelay = regenDelay;
+        this.regenRate = regenRate;
+        this.darknessDrain = darknessDrain;
+        this.entityDrain = entityDrain;
+        this.entityRange = entityRange;
+        this.sanityRecovery = sanityRecovery;
+        this.panicDamage = panicDamage;
+        this.reset();
+    }
+
+    reset() {
+        this.health = this.maxHealth;
+        this.sanity = this.maxSanity;
+        this.dead = false;
+        this.sinceDamage = Infinity;
+    }
+
+    damage(amount, source) {
+        if (this.dead || amount <= 0) return;
+        this.health = Math.max(0, this.health - amount);
+        this.sinceDamage = 0;
+        this.dispatchEvent({ type: 'damage', amount, source });
+        if (this.health === 0) {
+            this.dead = true;
+            this.dispatchEvent({ type: 'death', source });
+        }
+    }
+
+    // `env` is { inDarkness, entityDistance } — entityDistance is Infinity
+    // while the entity isn't manifested
+    update(delta, { inDarkness, entityDistance }) {
+        if (this.dead) return;
+
+        this.sinceDamage += delta;
+        if (this.sinceDamage > this.regenDelay) {
+            this.health = Math.min(this.maxHealth, this.health + this.regenRate * delta);
+        }
+
+        let drain = 0;
+        if (inDarkness) drain += this.darknessDrain;
+        if (entityDistance < this.entityRange) {
+            drain += this.entityDrain * (1 - entityDistance / this.entityRange);
+        }
+        if (drain > 0) {
+            this.sanity = Math.max(0, this.sanity - drain * delta);
+        } else {
+            this.sanity = Math.min(this.maxSanity, this.sanity + this.sanityRecovery * delta);
+        }
+
+        if (this.sanity === 0) this.damage(this.panicDamage * delta, 'sanity');
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
-export function createBlizzard(scene) {
+// `quality.snow` is the share of snow and streaks drawn (see Quality.js)
+export function createBlizzard(scene, quality) {
     // ── Snow Particles ──
     const snowCount = 8000;
     const snowGeo = new THREE.BufferGeometry();
@@ -60,6 +61,18 @@ export function createBlizzard(scene) {
     const streaks = new THREE.LineSegments(streakGeo, streakMat);
     scene.add(streaks);
 
+    // Buffers hold the full blizzard; lighter settings draw and move a
+    // leading share of it
+    let activeSnow = snowCount;
+    let activeStreaks = streakCount;
+    function setDensity(share) {
+        activeSnow = Math.round(snowCount * share);
+        activeStreaks = Math.round(streakCount * share);
+        snowGeo.setDrawRange(0, activeSnow);
+        streakGeo.setDrawRange(0, activeStreaks * 2);
+    }
+    setDensity(quality.snow);
+
     // ── Fog Volume (dense near ground outside) ──
     const fogPlanes = [];
     for (let i = 0; i < 5; i++) {
@@ -92,7 +105,7 @@ export function createBlizzard(scene) {
         const windX = Math.sin(elapsed * 0.3) * 3;
         const windZ = Math.cos(elapsed * 0.2) * 2;
 
-        for (let i = 0; i < snowCount; i++) {
+        for (let i = 0; i < activeSnow; i++) {
             const i3 = i * 3;
             pos[i3] += (velocities[i3] + windX) * delta;
             pos[i3 + 1] += velocities[i3 + 1] * delta;
@@ -109,7 +122,7 @@ export function createBlizzard(scene) {
 
         // Animate wind streaks
         const sPos = streakGeo.attributes.position.array;
-        for (let i = 0; i < streakCount; i++) {
+        for (let i = 0; i < activeStreaks; i++) {
             const i6 = i * 6;
             sPos[i6] += (windX * 0.5 + 3) * delta;
             sPos[i6 + 2] += windZ * 0.3 * delta;
@@ -132,5 +145,5 @@ export function createBlizzard(scene) {
         });
     }
 
-    return { update, particles: snowPoints, streaks, fogPlanes };
+    return { update, setDensity, particles: snowPoints, streaks, fogPlanes };
 }
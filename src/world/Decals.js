@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { TextureFactory } from '../engine/TextureFactory.js';
+
+/**
+ * Decals from the level files' `decals` section: writing and footprint
+ * trails printed on a plane laid against a wall or floor.
+ *
+ * A `uv` decal is invisible until the flashlight's UV beam falls on it, and
+ * then only the part inside the cone glows. All UV decals share the beam
+ * uniforms below, set once a frame by updateUVBeam().
+ */
+
+// Pixels per metre of decal
+const RESOLUTION = 256;
+
+const FONTS = {
+    scrawl: 'Creepster, cursive',
+    code: '"Share Tech Mono", monospace',
+};
+
+const beam = {
+    uvBeamPosition: { value: new THREE.Vector3() },
+    uvBeamDirection: { value: new THREE.Vector3(0, 0, -1) },
+    uvBeamCone: { value: new THREE.Vector2(1, 1) }, // cos of the outer and inner cone angle
+    uvBeamRange: { value: 1 },
+    uvBeamStrength: { value: 0 },
+};
+
+// Follow the flashlight. `strength` (0–1) is how brightly UV decals glow —
+// 0 outside UV mode
+export function updateUVBeam(light, strength) {
+    light.getWorldPosition(beam.uvBeamPosition.value);
+    light.target.getWorldPosition(_target);
+    beam.uvBeamDirection.value.subVectors(_target, beam.uvBeamPosition.value).normalize();
+    beam.uvBeamCone.value.set(Math.cos(light.angle), Math.cos(light.angle * (1 - light.penumbra)));
+    beam.uvBeamRange.value = light.distance;
+    beam.uvBeamStrength.value = strength;
+}
+
+// Texture and material for a decal spec: { text, font, size, color, uv }
+// or { footprints, size, color, uv }
+export function createDecalMaterial(spec) {
+    const [width, height] = spec.size;
+    const canvas = TextureFactory.createCanvas(
+        Math.max(32, Math.round(width * RESOLUTION)),
+        Math.max(32, Math.round(height * RESOLUTION))
+    );
+    const ctx = canvas.getContext('2d');
+    if (spec.footprints) drawFootprints(ctx, canvas.width, canvas.height, spec.footprints);
+    else drawText(ctx, canvas.width, canvas.height, spec.text, FONTS[spec.font || 'scrawl']);
+
+    const map = new THREE.CanvasTexture(canvas);
+    map.colorSpace = THREE.SRGBColorSpace;
+    map.anisotropy = 4;
+    const material = new THREE.MeshBasicMaterial({
+        map,
+        color: spec.color || '#1a1a1a',
+        transparent: true,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -2,
+        side: THREE.DoubleSide,
+    });
+    if (spec.uv) revealInBeam(material);
+    return material;
+}
+
+// Fade the material out everywhere but inside the UV beam, where it glows
+function revealInBeam(material) {
+    material.blending = THREE.AdditiveBlending;
+    material.fog = false;
+    material.customProgramCacheKey = () => 'uvDecal';
+    material.onBeforeCompile = shader => {
+        Object.assign(shader.uniforms, beam);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vBeamWorld;')
+            .replace('#include <project_vertex>', '#include <project_vertex>\nvBeamWorld = (modelMatrix * vec4(transformed, 1.0)).xyz;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying vec3 vBeamWorld;
+uniform vec3 uvBeamPosition;
+uniform vec3 uvBeamDirection;
+uniform vec2 uvBeamCone;
+uniform float uvBeamRange;
+uniform float uvBeamStrength;`)
+            .replace('#include <opaque_fragment>', `vec3 toBeam = vBeamWorld - uvBeamPosition;
+float reveal = smoothstep(uvBeamCone.x, uvBeamCone.y, dot(normalize(toBeam), uvBeamDirection));
+reveal *= 1.0 - smoothstep(uvBeamRange * 0.6, uvBeamRange, length(toBeam));
+diffuseColor.a *= reveal * uvBeamStrength;
+outgoingLight *= 1.6;
+#include <opaque_fragment>`);
+    };
+}
+
+// ── Drawing ──
+// White on transparent; the material color tints it
+
+// Lines of `text` fitted to the canvas, every letter a little askew
+function drawText(ctx, w, h, text, font) {
+    const lines = text.split('\n');
+    const lineHeight = h / lines.length;
+    let size = lineHeight * 0.8;
+    ctx.font = `${size}px ${font}`;
+    const widest = Math.max(...lines.map(line => ctx.measureText(line).width));
+    if (widest > w * 0.95) size *= w * 0.95 / widest;
+    ctx.font = `${size}px ${font}`;
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'middle';
+
+    lines.forEach((line, i) => {
+        let x = (w - ctx.measureText(line).width) / 2;
+        const y = lineHeight * (i + 0.5);
+        for (const char of line) {
+            ctx.save();
+            ctx.translate(x, y + (Math.random() - 0.5) * size * 0.08);
+            ctx.rotate((Math.random() - 0.5) * 0.12);
+            ctx.fillText(char, 0, 0);
+            ctx.restore();
+            x += ctx.measureText(char).width;
+        }
+    });
+}
+
+// `count` shoe prints walking up the canvas (towards the decal's +y),
+// alternating left and right
+function drawFootprints(ctx, w, h, count) {
+    const stride = h / count;
+    const length = Math.min(stride * 0.8, w * 0.45);
+    const width = length * 0.38;
+    ctx.fillStyle = '#fff';
+    for (let i = 0; i < count; i++) {
+        const side = i % 2 ? 1 : -1;
+        ctx.save();
+        ctx.translate(w / 2 + side * w * 0.2, h - stride * (i + 0.5));
+        ctx.rotate(side * 0.08 + (Math.random() - 0.5) * 0.1);
+        ctx.globalAlpha = 0.7 + Math.random() * 0.3;
+        // Sole, then heel
+        ctx.beginPath();
+        ctx.ellipse(0, -length * 0.18, width / 2, length * 0.32, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.ellipse(0, length * 0.33, width * 0.4, length * 0.16, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+const _target = new THREE.Vector3();
@@ -0,0 +1,698 @@
+import * as THREE from 'three';
+import { TextureFactory } from '../engine/TextureFactory.js';
+import { SpatialHash } from '../engine/SpatialHash.js';
+import { createDecalMaterial } from './Decals.js';
+
+/**
+ * Builds a level from its JSON description (see levels/*.json).
+ *
+ * Positions are [x, y, z] relative to the level's `origin`; rotations are
+ * [x, y, z] in degrees. Any number (or a whole vector) may be written as
+ * { "min", "max" } to pick a random value per instance — used for scatter.
+ *
+ * Level metadata, read by the game's level registry:
+ *   origin        the level's floor is at origin[1] (`floorY` in the result)
+ *   bounds        walkable space as boxes { x, y, z } of [min, max] ranges;
+ *                 the player is in this level while their feet are inside one
+ *   environment   { fog, fogDensity, blizzard } applied while the player is
+ *                 in the level
+ *
+ * Sections, built in this order:
+ *   materials     name → { texture: concrete|metal|floor|ceiling|exterior|snow, ...options }
+ *                 or plain MeshStandardMaterial params ('#rrggbb' colors, side: 'double')
+ *   prefabs       name → list of props, positioned relative to the prop using it
+ *   rooms         solid floor/ceiling slabs over `bounds`, optionally enclosed by
+ *                 walls with `openings` per side; `holes` { floor, ceiling } lists
+ *                 [x1, x2, z1, z2] areas left out of a slab for shafts and hatches
+ *   walls         straight walls along x or z, full height unless `y` is given
+ *   stairs        solid flights of `steps` from the foot (`from`) to the head
+ *                 (`to`) of the flight, along x or z
+ *   ladders       climbable ladders standing at `at`, climbed from the side
+ *                 `normal` points to
+ *   props         box/cylinder/sphere/plane/ring/torus meshes, pipes, lights
+ *                 and prefab instances, optionally repeated
+ *   decals        writing ({ text, font: scrawl|code }) or trails of `footprints`
+ *                 on a `size` [w, h] plane facing +z before `rotation`; `uv`
+ *                 decals only show in the flashlight's UV beam
+ *   colliders     invisible collision volumes
+ *   lights        point lights
+ *   hazards       steam vents
+ *   interactables notes, terminals, pickups, chargers, valves and plain trigger volumes;
+ *                 an `id` is kept as userData.id, prefixed with the level's
+ *                 ('legacy_hq:lobby_door'), which is how saves address them.
+ *                 Entries without one are numbered by type within the level
+ *                 ('legacy_hq:note#0') — give new entries ids, or that shifts.
+ *   triggers      walk-in zones checked by the game loop
+ *
+ * Colliders go into the shared `colliders` SpatialHash; the handles it hands
+ * out are what `colliderIndex` holds and what interactables link to.
+ *
+ * Everything is added under one group per level. Returns
+ * { root, interactableObjects, objects, colliderIndex, materials, steamBursts, ladders,
+ *   floorY, bounds, environment }
+ * where `objects` and `colliderIndex` are keyed by the ids given in the file,
+ * `ladders` holds each ladder's climb volume and the way off it and `bounds`
+ * are in world space, plus what the level editor needs to work on single entries:
+ *   entries           Map of section entry → { section, objects it built }
+ *   rebuild(section, entry)   (re)place one entry, e.g. after editing it
+ *   remove(entry)             take an entry's objects out of the scene
+ * Entries rebuilt this way don't register colliders — the editor rebuilds
+ * the whole world when it closes.
+ */
+export function loadLevel(scene, data, colliders = new SpatialHash()) {
+    const origin = new THREE.Vector3().fromArray(data.origin || [0, 0, 0]);
+    const room = {
+        height: 4,
+        wallThickness: 0.4,
+        floor: [-0.1, 0],
+        ceiling: [4, 4.1],
+        ...data.room,
+    };
+    const environment = { ...DEFAULT_ENVIRONMENT, ...data.environment };
+    const bounds = (data.bounds || []).map(({ x, y, z }) => new THREE.Box3(
+        new THREE.Vector3(x[0], y[0], z[0]).add(origin),
+        new THREE.Vector3(x[1], y[1], z[1]).add(origin)
+    ));
+
+    const root = new THREE.Group();
+    root.name = data.id;
+    scene.add(root);
+
+    const interactableObjects = [];
+    const objects = {};
+    const colliderIndex = {};
+    const materials = {};
+    const steamBursts = [];
+    const ladders = [];
+    const entries = new Map();
+    let built = null;          // objects of the entry being placed
+    let collecting = true;     // register colliders (off for editor rebuilds)
+
+    function add(obj) {
+        root.add(obj);
+        if (built) built.push(obj);
+    }
+
+    // ── Registry helpers ──
+    function material(name) {
+        if (Array.isArray(name)) return material(name[Math.floor(Math.random() * name.length)]);
+        if (!materials[name]) {
+            const spec = data.materials && data.materials[name];
+            if (!spec) throw new Error(`Level ${data.id}: unknown material "${name}"`);
+            materials[name] = createMaterial(spec);
+        }
+        return materials[name];
+    }
+
+    function register(id, obj) {
+        if (!id) return;
+        if (objects[id]) throw new Error(`Level ${data.id}: duplicate id "${id}"`);
+        objects[id] = obj;
+    }
+
+    function addCollider(center, size, id) {
+        if (!collecting) return;
+        const handle = colliders.add(new THREE.Box3().setFromCenterAndSize(center, size));
+        if (id) colliderIndex[id] = handle;
+    }
+
+    function addBox(size, mat, center, isCollider = false) {
+        const m = new THREE.Mesh(new THREE.BoxGeometry(...size), material(mat));
+        m.position.copy(center);
+        m.castShadow = true; m.receiveShadow = true;
+        add(m);
+        if (isCollider) addCollider(center, new THREE.Vector3(...size));
+        return m;
+    }
+
+    function addLight(spec, position) {
+        const light = new THREE.PointLight(spec.color, spec.intensity, spec.distance);
+        light.position.copy(position);
+        add(light);
+        return light;
+    }
+
+    // ── Props ──
+    function placeProps(list, offset) {
+        for (const prop of list) {
+            for (const at of instances(prop, offset)) placeProp(prop, at);
+        }
+    }
+
+    function placeProp(prop, offset) {
+        const at = offset.clone().add(vec(prop.at));
+
+        if (prop.prefab) {
+            const parts = data.prefabs && data.prefabs[prop.prefab];
+            if (!parts) throw new Error(`Level ${data.id}: unknown prefab "${prop.prefab}"`);
+            placeProps(parts, at);
+            return;
+        }
+        if (prop.light) {
+            register(prop.id, addLight({ ...prop, color: prop.light }, at));
+            return;
+        }
+        if (prop.pipe) {
+            placePipe(prop, offset);
+            return;
+        }
+
+        const kind = Object.keys(GEOMETRIES).find(k => k in prop);
+        if (!kind) throw new Error(`Level ${data.id}: prop has no shape ${JSON.stringify(prop)}`);
+        const args = prop[kind].map(resolve);
+
+        if (prop.collider) {
+            if (kind !== 'box') throw new Error(`Level ${data.id}: only box props can be colliders`);
+            addCollider(at, new THREE.Vector3(...args), prop.id);
+        }
+        if (prop.visible === false) return;
+
+        const mesh = new THREE.Mesh(GEOMETRIES[kind](args), material(prop.material));
+        mesh.position.copy(at);
+        if (prop.rotation) mesh.rotation.fromArray(degrees(prop.rotation));
+        const shadows = kind === 'box';
+        mesh.castShadow = prop.castShadow ?? shadows;
+        mesh.receiveShadow = prop.receiveShadow ?? shadows;
+        add(mesh);
+        register(prop.id, mesh);
+    }
+
+    // Axis-aligned pipe between two points, with optional end joints,
+    // ceiling brackets and a box collider
+    function placePipe(prop, offset) {
+        const [a, b] = prop.pipe.map(p => offset.clone().add(vec(p)));
+        const { radius = 0.08, segments = 12 } = prop;
+        const axis = a.x !== b.x ? 'x' : a.z !== b.z ? 'z' : 'y';
+        const len = Math.abs(b[axis] - a[axis]);
+        const center = a.clone().add(b).multiplyScalar(0.5);
+
+        const pipe = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, len, segments), material(prop.material));
+        pipe.position.copy(center);
+        if (axis === 'x') pipe.rotation.z = Math.PI / 2;
+        if (axis === 'z') pipe.rotation.x = Math.PI / 2;
+        pipe.castShadow = true;
+        add(pipe);
+        register(prop.id, pipe);
+
+        if (prop.joints) {
+            [a, b].forEach(p => {
+                const j = new THREE.Mesh(new THREE.SphereGeometry(radius + 0.02, 8, 8), material(prop.material));
+                j.position.copy(p); add(j);
+            });
+        }
+        if (prop.brackets) {
+            const start = Math.min(a[axis], b[axis]);
+            const end = Math.max(a[axis], b[axis]);
+            for (let t = start + 1.5; t < end; t += 2.5) {
+                const pos = a.clone().setComponent('xyz'.indexOf(axis), t);
+                pos.y += radius + 0.04;
+                addBox([0.04, 0.2, 0.04], prop.brackets, pos);
+            }
+        }
+        if (prop.collider) {
+            const size = new THREE.Vector3(radius * 2, radius * 2, radius * 2).setComponent('xyz'.indexOf(axis), len);
+            addCollider(center, size, prop.id);
+        }
+    }
+
+    // ── Rooms ──
+    function placeRoom(spec) {
+        const [x1, x2, z1, z2] = spec.bounds;
+        const w = x2 - x1;
+        const d = z2 - z1;
+        const cx = (x1 + x2) / 2;
+        const cz = (z1 + z2) / 2;
+
+        for (const part of ['floor', 'ceiling']) {
+            if (!spec[part]) continue;
+            const [bottom, top] = room[part];
+            const holes = (spec.holes && spec.holes[part]) || [];
+            const pieces = holes.reduce((rects, hole) => rects.flatMap(r => subtractRect(r, hole)), [spec.bounds]);
+            for (const [px1, px2, pz1, pz2] of pieces) {
+                const size = new THREE.Vector3(px2 - px1, top - bottom, pz2 - pz1);
+                const slab = new THREE.Mesh(new THREE.BoxGeometry(size.x, size.y, size.z), material(spec[part]));
+                slab.position.copy(origin).add(new THREE.Vector3((px1 + px2) / 2, (bottom + top) / 2, (pz1 + pz2) / 2));
+                slab.receiveShadow = true;
+                add(slab);
+                addCollider(slab.position, size);
+            }
+        }
+
+        if (!spec.walls) return;
+        const W = room.wallThickness;
+        const H = room.height;
+        const openings = spec.openings || {};
+        // [fixed coordinate, range start, range end, runs along x?]
+        const sides = {
+            north: [z2 + W / 2, x1, x2, true],
+            south: [z1 - W / 2, x1, x2, true],
+            west: [x1 - W / 2, z1, z2, false],
+            east: [x2 + W / 2, z1, z2, false],
+        };
+        for (const [side, [fixed, start, end, alongX]] of Object.entries(sides)) {
+            const gaps = [...(openings[side] || [])].sort((p, q) => p[0] - q[0]);
+            // A solid side runs past the corners to seal them
+            const segments = [];
+            if (gaps.length === 0) {
+                segments.push([start - W / 2, end + W / 2]);
+            } else {
+                let cursor = start;
+                for (const [gapStart, gapEnd] of gaps) {
+                    if (gapStart > cursor) segments.push([cursor, gapStart]);
+                    cursor = Math.max(cursor, gapEnd);
+                }
+                if (end > cursor) segments.push([cursor, end]);
+            }
+            for (const [a, b] of segments) {
+                const mid = (a + b) / 2;
+                const size = alongX ? [b - a, H, W] : [W, H, b - a];
+                const center = alongX ? [mid, H / 2, fixed] : [fixed, H / 2, mid];
+                addBox(size, spec.walls, origin.clone().add(new THREE.Vector3(...center)), true);
+            }
+        }
+    }
+
+    // Straight wall: { x: [x1, x2], z } or { z: [z1, z2], x }
+    function placeWall(spec) {
+        const [bottom, top] = spec.y || [0, room.height];
+        const t = spec.thickness || room.wallThickness;
+        const h = top - bottom;
+        let size, center;
+        if (Array.isArray(spec.x)) {
+            const [x1, x2] = spec.x;
+            size = [Math.abs(x2 - x1), h, t];
+            center = [(x1 + x2) / 2, bottom + h / 2, spec.z];
+        } else {
+            const [z1, z2] = spec.z;
+            size = [t, h, Math.abs(z2 - z1)];
+            center = [spec.x, bottom + h / 2, (z1 + z2) / 2];
+        }
+        const at = origin.clone().add(new THREE.Vector3(...center));
+        register(spec.id, addBox(size, spec.material, at));
+        addCollider(at, new THREE.Vector3(...size), spec.id);
+    }
+
+    // ── Stairs and ladders ──
+    // Each step is a solid block down to the foot of the flight, so the
+    // flight reads as one piece from below and every tread is a collider
+    function placeStairs(spec) {
+        const from = vec(spec.from);
+        const to = vec(spec.to);
+        const axis = from.x !== to.x ? 'x' : 'z';
+        const cross = axis === 'x' ? 'z' : 'x';
+        const { steps, width = 1.2 } = spec;
+        const run = (to[axis] - from[axis]) / steps;
+        const rise = (to.y - from.y) / steps;
+        for (let i = 1; i <= steps; i++) {
+            const height = rise * i;
+            const center = new THREE.Vector3(0, from.y + height / 2, 0)
+                .setComponent('xyz'.indexOf(axis), from[axis] + run * (i - 0.5))
+                .setComponent('xyz'.indexOf(cross), from[cross]);
+            const size = new THREE.Vector3(0, height, 0)
+                .setComponent('xyz'.indexOf(axis), Math.abs(run))
+                .setComponent('xyz'.indexOf(cross), width);
+            addBox(size.toArray(), spec.material, origin.clone().add(center), true);
+        }
+    }
+
+    // Rails and rungs, plus the volume the player climbs in: the ladder's
+    // width, `reach` out from it on the `normal` side, bottom to top. The
+    // top should stand about a metre above the landing, like grab rails.
+    function placeLadder(spec) {
+        const at = origin.clone().add(vec(spec.at));
+        const normal = new THREE.Vector3().fromArray(spec.normal);
+        const { height, width = 0.6, rungSpacing = 0.3, reach = 0.6 } = spec;
+        const across = new THREE.Vector3(-normal.z, 0, normal.x);
+
+        const ladder = new THREE.Group();
+        ladder.position.copy(at);
+        for (const side of [-1, 1]) {
+            const rail = new THREE.Mesh(new THREE.BoxGeometry(0.04, height, 0.04), material(spec.material));
+            rail.position.copy(across).multiplyScalar(side * width / 2).setY(height / 2);
+            rail.castShadow = true;
+            ladder.add(rail);
+        }
+        const rungSize = across.x !== 0 ? [width, 0.04, 0.04] : [0.04, 0.04, width];
+        for (let y = rungSpacing; y < height; y += rungSpacing) {
+            const rung = new THREE.Mesh(new THREE.BoxGeometry(...rungSize), material(spec.material));
+            rung.position.y = y;
+            ladder.add(rung);
+        }
+        add(ladder);
+        register(spec.id, ladder);
+
+        const volume = new THREE.Box3().setFromPoints([
+            at.clone().addScaledVector(across, width / 2 + 0.1),
+            at.clone().addScaledVector(across, -width / 2 - 0.1).addScaledVector(normal, reach).setY(at.y + height),
+        ]);
+        ladders.push({ volume, normal, at, top: at.y + height, object: ladder });
+    }
+
+    // ── Decals ──
+    function placeDecal(spec) {
+        const decal = new THREE.Mesh(new THREE.PlaneGeometry(...spec.size), createDecalMaterial(spec));
+        decal.position.copy(origin).add(vec(spec.at));
+        if (spec.rotation) decal.rotation.fromArray(degrees(spec.rotation));
+        decal.renderOrder = 1;
+        add(decal);
+        register(spec.id, decal);
+    }
+
+    // ── Hazards ──
+    function placeSteam(spec) {
+        const at = origin.clone().add(vec(spec.at));
+        const dir = new THREE.Vector3().fromArray(spec.direction || [0, 0, 0]);
+        addBox([0.12, 0.12, 0.25], spec.pipeMaterial, at);
+        const cloud = new THREE.Mesh(new THREE.BoxGeometry(0.8, 1.5, 0.4), material(spec.cloudMaterial).clone());
+        cloud.position.copy(at).add(dir);
+        cloud.position.y += 0.2;
+        add(cloud);
+        const light = addLight({ color: 0xffffff, intensity: 0.2, distance: 3 }, at.clone().setY(at.y + 0.5));
+        steamBursts.push({
+            position: at.clone().add(dir),
+            radius: spec.radius || 1.2,
+            cloud,
+            light,
+            timer: Math.random() * 6,
+            active: false,
+        });
+    }
+
+    // ── Interactables ──
+    function placeInteractable(spec) {
+        const at = origin.clone().add(vec(spec.at));
+        const build = MODELS[spec.model || 'trigger'];
+        if (!build) throw new Error(`Level ${data.id}: unknown interactable model "${spec.model}"`);
+        const { object, parts = [], extra = {} } = build(spec, { material, addBox, at });
+        parts.forEach(part => add(part));
+
+        object.position.copy(at);
+        if (spec.rotation) object.rotation.fromArray(degrees(spec.rotation));
+        const glow = spec.glow === undefined ? DEFAULT_GLOW[spec.model] : spec.glow;
+        if (glow) extra.glowLight = addLight(glow, at.clone().add(new THREE.Vector3().fromArray(glow.offset || [0, 0, 0])));
+
+        object.userData = {
+            interactable: spec.interactable !== false,
+            type: spec.type,
+            id: `${data.id}:${spec.id || unnamedId(spec)}`,
+            promptText: spec.prompt,
+            ...(spec.content !== undefined && { content: spec.content }),
+            ...extra,
+            ...spec.data,
+            ...resolveLinks(spec.links),
+        };
+        add(object);
+        interactableObjects.push(object);
+        register(spec.id, object);
+    }
+
+    // Place among the level's interactables of its type that have no id
+    function unnamedId(spec) {
+        const unnamed = (data.interactables || []).filter(e => !e.id && e.type === spec.type);
+        return `${spec.type}#${unnamed.indexOf(spec)}`;
+    }
+
+    // links: { objects: { key: id }, colliders: { key: id }, materials: { key: name } },
+    // where an array of ids links a list
+    function resolveLinks(links = {}) {
+        const out = {};
+        const each = (ids, fn) => Array.isArray(ids) ? ids.map(fn) : fn(ids);
+        for (const [key, ids] of Object.entries(links.objects || {})) {
+            out[key] = each(ids, id => {
+                if (!objects[id]) throw new Error(`Level ${data.id}: link to unknown object "${id}"`);
+                return objects[id];
+            });
+        }
+        for (const [key, ids] of Object.entries(links.colliders || {})) {
+            out[key] = each(ids, id => {
+                if (!(id in colliderIndex)) throw new Error(`Level ${data.id}: link to unknown collider "${id}"`);
+                return colliderIndex[id];
+            });
+        }
+        for (const [key, name] of Object.entries(links.materials || {})) out[key] = material(name);
+        return out;
+    }
+
+    function placeTrigger(spec) {
+        const zone = new THREE.Mesh(
+            new THREE.BoxGeometry(...spec.size),
+            new THREE.MeshBasicMaterial({ visible: false })
+        );
+        zone.position.copy(origin).add(vec(spec.at));
+        zone.userData = { type: spec.type, ...spec.data };
+        add(zone);
+        register(spec.id, zone);
+    }
+
+    // ── Build ──
+    const SECTIONS = {
+        rooms: placeRoom,
+        walls: placeWall,
+        stairs: placeStairs,
+        ladders: placeLadder,
+        props: prop => placeProps([prop], origin),
+        decals: placeDecal,
+        colliders: c => addCollider(origin.clone().add(vec(c.at)), new THREE.Vector3(...c.size), c.id),
+        lights: ({ color, ...light }) => placeProps([{ ...light, light: color }], origin),
+        hazards(hazard) {
+            if (hazard.type !== 'steam') throw new Error(`Level ${data.id}: unknown hazard "${hazard.type}"`);
+            placeSteam(hazard);
+        },
+        interactables: placeInteractable,
+        triggers: placeTrigger,
+    };
+
+    // Whatever was built before an error is still recorded, so a bad edit
+    // can be removed again
+    function place(section, entry) {
+        built = [];
+        try {
+            SECTIONS[section](entry);
+        } finally {
+            entries.set(entry, { section, objects: built });
+            built = null;
+        }
+    }
+
+    function remove(entry) {
+        const record = entries.get(entry);
+        if (!record) return;
+        entries.delete(entry);
+        for (const obj of record.objects) {
+            obj.removeFromParent();
+            obj.traverse(o => { if (o.geometry) o.geometry.dispose(); });
+        }
+        for (const [id, obj] of Object.entries(objects)) {
+            if (record.objects.includes(obj)) delete objects[id];
+        }
+        const gone = obj => record.objects.includes(obj);
+        interactableObjects.splice(0, Infinity, ...interactableObjects.filter(o => !gone(o)));
+        steamBursts.splice(0, Infinity, ...steamBursts.filter(b => !gone(b.cloud)));
+        ladders.splice(0, Infinity, ...ladders.filter(l => !gone(l.object)));
+    }
+
+    function rebuild(section, entry) {
+        remove(entry);
+        collecting = false;
+        try {
+            place(section, entry);
+        } finally {
+            collecting = true;
+        }
+    }
+
+    for (const section of Object.keys(SECTIONS)) {
+        for (const entry of data[section] || []) place(section, entry);
+    }
+
+    return {
+        root, data, interactableObjects, objects, colliderIndex, materials, steamBursts, ladders,
+        floorY: origin.y, bounds, environment,
+        entries, rebuild, remove,
+    };
+}
+
+// Fog and weather for levels that don't set their own
+const DEFAULT_ENVIRONMENT = { fog: '#0a0e14', fogDensity: 0.008, blizzard: false };
+
+// ── Materials ──
+const TEXTURED = {
+    concrete: options => TextureFactory.createConcreteMaterial(options),
+    metal: options => TextureFactory.createMetalMaterial(options),
+    floor: () => TextureFactory.createFloorMaterial(),
+    ceiling: () => TextureFactory.createCeilingMaterial(),
+    exterior: () => TextureFactory.createExteriorMaterial(),
+    snow: () => TextureFactory.createSnowMaterial(),
+};
+
+function createMaterial(spec) {
+    if (spec.texture) {
+        const { texture, ...options } = spec;
+        if (!TEXTURED[texture]) throw new Error(`Unknown texture material "${texture}"`);
+        return TEXTURED[texture](options);
+    }
+    const { basic, side, ...params } = spec;
+    if (side === 'double') params.side = THREE.DoubleSide;
+    return basic ? new THREE.MeshBasicMaterial(params) : new THREE.MeshStandardMaterial(params);
+}
+
+// ── Shapes ──
+const GEOMETRIES = {
+    box: args => new THREE.BoxGeometry(...args),
+    cylinder: args => new THREE.CylinderGeometry(...args),
+    sphere: args => new THREE.SphereGeometry(...args),
+    plane: args => new THREE.PlaneGeometry(...args),
+    ring: args => new THREE.RingGeometry(...args),
+    torus: args => new THREE.TorusGeometry(...args),
+};
+
+// Built-in interactable models. Each returns the object that carries the
+// userData, any loose `parts` to add alongside it, and `extra` userData the
+// game code drives (valve wheel and indicator).
+const MODELS = {
+    // Invisible volume — doors, hatches and other things built from props
+    trigger(spec) {
+        const object = new THREE.Mesh(
+            new THREE.BoxGeometry(...spec.size),
+            new THREE.MeshBasicMaterial({ visible: false })
+        );
+        return { object };
+    },
+
+    // Stiff memo card (Legacy HQ)
+    paper(spec, { material }) {
+        const object = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.4, 0.02), material(spec.material || 'paper').clone());
+        object.castShadow = true;
+        return { object };
+    },
+
+    // Loose sheet, tilted back slightly
+    sheet(spec, { material }) {
+        const object = new THREE.Mesh(new THREE.PlaneGeometry(0.3, 0.4), material(spec.material || 'paper').clone());
+        object.rotation.x = -0.2;
+        return { object };
+    },
+
+    // Desk monitor with a separate screen panel
+    monitor(spec, { material }) {
+        const object = new THREE.Group();
+        object.add(new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.45, 0.08), material(spec.material || 'metal')));
+        const screen = new THREE.Mesh(new THREE.PlaneGeometry(0.5, 0.35), material(spec.screenMaterial || 'screen').clone());
+        screen.position.z = 0.045;
+        object.add(screen);
+        return { object };
+    },
+
+    // Boxy console unit
+    console(spec, { material }) {
+        return { object: new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.5, 0.3), material(spec.material || 'screen')) };
+    },
+
+    keycard(spec, { material }) {
+        return { object: new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.01, 0.1), material(spec.material)) };
+    },
+
+    // Spare flashlight cell lying on its side
+    battery(spec, { material }) {
+        const object = new THREE.Group();
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.1, 12), material(spec.material || 'battery'));
+        const band = new THREE.Mesh(new THREE.CylinderGeometry(0.031, 0.031, 0.025, 12), material(spec.bandMaterial || 'batteryBand'));
+        band.position.x = -0.035;
+        const terminal = new THREE.Mesh(new THREE.CylinderGeometry(0.008, 0.008, 0.01, 8), material('metal'));
+        terminal.position.x = -0.055;
+        for (const part of [body, band, terminal]) part.rotation.z = Math.PI / 2;
+        object.add(body, band, terminal);
+        return { object };
+    },
+
+    // Wall charging station; the status strip shows whether it has charge left
+    charger(spec, { material }) {
+        const object = new THREE.Group();
+        object.add(new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.5, 0.12), material(spec.material || 'metal')));
+        const cradle = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.08, 0.1), material(spec.bodyMaterial || 'metal'));
+        cradle.position.set(0, -0.12, 0.1);
+        const statusMat = new THREE.MeshStandardMaterial({ color: 0x00ff41, emissive: 0x00ff41, emissiveIntensity: 1.0 });
+        const status = new THREE.Mesh(new THREE.BoxGeometry(0.26, 0.03, 0.01), statusMat);
+        status.position.set(0, 0.15, 0.065);
+        object.add(cradle, status);
+        return { object, extra: { statusMat } };
+    },
+
+    // Wheel valve on a wall panel with a status light
+    valve(spec, { material, addBox, at }) {
+        const wheel = new THREE.Mesh(new THREE.TorusGeometry(0.25, 0.04, 8, 16), material(spec.material || 'valve').clone());
+        wheel.position.copy(at);
+        wheel.rotation.x = Math.PI / 2;
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.3, 8), material(spec.bodyMaterial || 'metal'));
+        shaft.position.copy(at);
+        addBox([0.8, 0.6, 0.08], spec.bodyMaterial || 'metal', at.clone().add(new THREE.Vector3(0, 0, 0.15)));
+        const indicMat = new THREE.MeshStandardMaterial({ color: 0xff0000, emissive: 0xff0000, emissiveIntensity: 1.0 });
+        const indicator = new THREE.Mesh(new THREE.SphereGeometry(0.04, 8, 8), indicMat);
+        indicator.position.copy(at).add(new THREE.Vector3(0.25, 0.2, 0.2));
+        const { object } = MODELS.trigger({ size: [0.8, 0.8, 0.5] });
+        return { object, parts: [wheel, shaft, indicator], extra: { turned: false, wheel, indicator, indicMat } };
+    },
+};
+
+// Point lights that come with a model unless the entry overrides `glow`
+const DEFAULT_GLOW = {
+    paper: { color: 0xffcc66, intensity: 0.4, distance: 2.5, offset: [0, 0.3, 0] },
+    monitor: { color: 0x00ff41, intensity: 0.5, distance: 3, offset: [0, 0, 0.15] },
+};
+
+// ── Value helpers ──
+// What is left of rectangle [x1, x2, z1, z2] around `hole`: up to four
+// strips, the north and south ones running the full width
+function subtractRect(rect, hole) {
+    const [x1, x2, z1, z2] = rect;
+    const [hx1, hx2, hz1, hz2] = hole;
+    if (hx1 >= x2 || hx2 <= x1 || hz1 >= z2 || hz2 <= z1) return [rect];
+    const top = Math.min(hz2, z2);
+    const bottom = Math.max(hz1, z1);
+    return [
+        [x1, x2, z1, bottom],
+        [x1, x2, top, z2],
+        [x1, Math.max(hx1, x1), bottom, top],
+        [Math.min(hx2, x2), x2, bottom, top],
+    ].filter(([a, b, c, d]) => b - a > 1e-6 && d - c > 1e-6);
+}
+
+function resolve(value) {
+    if (value && typeof value === 'object' && 'min' in value) {
+        if (Array.isArray(value.min)) return value.min.map((min, i) => THREE.MathUtils.randFloat(min, value.max[i]));
+        return THREE.MathUtils.randFloat(value.min, value.max);
+    }
+    return value;
+}
+
+function vec(value = [0, 0, 0]) {
+    const v = resolve(value);
+    return new THREE.Vector3().fromArray(v.map(resolve));
+}
+
+function degrees(rotation) {
+    return resolve(rotation).map(a => THREE.MathUtils.degToRad(resolve(a)));
+}
+
+// Offsets for each copy of a prop: `repeat: { count, step }` where count is
+// a number (copies along step) or [nx, ny, nz] (a grid with per-axis step)
+function* instances(prop, offset) {
+    if (!prop.repeat) {
+        yield offset;
+        return;
+    }
+    const { count, step = [0, 0, 0] } = prop.repeat;
+    if (!Array.isArray(count)) {
+        for (let i = 0; i < count; i++) {
+            yield offset.clone().add(new THREE.Vector3(step[0] * i, step[1] * i, step[2] * i));
+        }
+        return;
+    }
+    for (let i = 0; i < count[0]; i++) {
+        for (let j = 0; j < count[1]; j++) {
+            for (let k = 0; k < count[2]; k++) {
+                yield offset.clone().add(new THREE.Vector3(step[0] * i, step[1] * j, step[2] * k));
+            }
+        }
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
-export function setupLighting(scene, camera) {
+// `quality` holds the shadow knobs (see Quality.js)
+export function setupLighting(scene, camera, quality) {
     // ── Ambient — bright enough to see surroundings ──
     const ambient = new THREE.AmbientLight(0x3a3a4a, 2.0);
     scene.add(ambient);
@@ -12,9 +13,6 @@ export function setupLighting(scene, camera) {
     // ── Exterior directional (blizzard overcast sky) ──
     const dirLight = new THREE.DirectionalLight(0x8899bb, 0.5);
     dirLight.position.set(-5, 10, 15);
-    dirLight.castShadow = true;
-    dirLight.shadow.mapSize.width = 2048;
-    dirLight.shadow.mapSize.height = 2048;
     dirLight.shadow.camera.near = 0.5;
     dirLight.shadow.camera.far = 60;
     dirLight.shadow.camera.left = -30;
@@ -37,9 +35,6 @@ export function setupLighting(scene, camera) {
     for (let i = 0; i < 4; i++) {
         const light = new THREE.PointLight(0xccccdd, 0.0, 6);
         light.position.set(0, 3.8, 3 - i * 5);
-        light.castShadow = true;
-        light.shadow.mapSize.width = 512;
-        light.shadow.mapSize.height = 512;
         scene.add(light);
         // Fluorescent tube mesh
         const tube = new THREE.Mesh(
@@ -61,7 +56,6 @@ export function setupLighting(scene, camera) {
     // ── Server room (red glow) ──
     const serverRed = new THREE.PointLight(0xff0000, 1.8, 25);
     serverRed.position.set(9, 3.5, -5);
-    serverRed.castShadow = true;
     scene.add(serverRed);
 
     const breakLight = new THREE.PointLight(0x3344ff, 1.0, 18);
@@ -81,13 +75,41 @@ export function setupLighting(scene, camera) {
     const flashlight = new THREE.SpotLight(0xfff0dd, 8.0, 50, Math.PI / 4, 0.25, 1.0);
     flashlight.position.copy(camera.position);
     flashlight.target = flashlightTarget;
-    flashlight.castShadow = true;
-    flashlight.shadow.mapSize.width = 1024;
-    flashlight.shadow.mapSize.height = 1024;
     flashlight.shadow.camera.near = 0.1;
     flashlight.shadow.camera.far = 40;
     scene.add(flashlight);
 
+    // ── Shadow Casters ──
+    // Most important first, with map sizes at full detail. The key lights
+    // keep their shadows on the middle setting; a shadow limit (from the
+    // performance governor) keeps the first few of those allowed.
+    const shadowCasters = [
+        { light: flashlight, size: 1024, key: true },
+        { light: dirLight, size: 2048, key: true },
+        { light: serverRed, size: 512, key: false },
+        ...hallLights.map(hl => ({ light: hl.light, size: 512, key: false })),
+    ];
+    let shadowQuality;
+    let shadowLimit = Infinity;
+    function applyQuality({ shadows, shadowDetail }) {
+        shadowQuality = { shadows, shadowDetail };
+        let casting = 0;
+        for (const { light, size, key } of shadowCasters) {
+            const allowed = shadows === 'all' || (shadows === 'key' && key);
+            light.castShadow = allowed && casting < shadowLimit;
+            if (light.castShadow) casting++;
+            const mapSize = Math.max(128, size * shadowDetail);
+            if (light.shadow.mapSize.x === mapSize) continue;
+            light.shadow.mapSize.set(mapSize, mapSize);
+            // Reallocated at the new size on the next shadow render
+            if (light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        }
+    }
+    applyQuality(quality);
+
     // ── Flickering Update ──
     let flickerTimer = 0;
     function updateFlicker(delta) {
@@ -111,25 +133,15 @@ export function setupLighting(scene, camera) {
         basementLight.intensity = 0.2 + Math.sin(flickerTimer * 0.8) * 0.15;
     }
 
-    // Run flicker in animation loop via scene event
-    const originalOnBeforeRender = scene.onBeforeRender;
-    scene.onBeforeRender = (renderer, s, c) => {
-        if (originalOnBeforeRender) originalOnBeforeRender(renderer, s, c);
-    };
-
-    // Use requestAnimationFrame-based update
-    let lastTime = performance.now();
-    function flickerLoop() {
-        const now = performance.now();
-        const dt = (now - lastTime) / 1000;
-        lastTime = now;
-        updateFlicker(dt);
-        requestAnimationFrame(flickerLoop);
-    }
-    flickerLoop();
-
     return {
         flashlightObj: flashlight,
         flashlightTargetObj: flashlightTarget,
+        // Driven from the main game loop so a rebuilt world doesn't leave stale loops behind
+        update: updateFlicker,
+        applyQuality,
+        setShadowLimit(limit) {
+            shadowLimit = limit;
+            applyQuality(shadowQuality);
+        },
     };
 }
@@ -1,6 +1,67 @@
 import { defineConfig } from 'vite';
+import fs from 'node:fs';
+import path from 'node:path';
+
+const LEVELS_DIR = path.resolve('src/world/levels');
+
+// Dev-only endpoint the level editor saves through: POST /__editor/levels/<id>
+// writes src/world/levels/<id>.json. The page already holds the edited data,
+// so the reload Vite would trigger for those writes is skipped.
+function levelEditorSave() {
+  // Only the editor on this dev server may write. Its X-Level-Editor header
+  // makes any cross-site request preflight, which nothing here approves;
+  // Host and Origin turn away other pages and DNS-rebound names.
+  const fromEditor = req => {
+    const host = req.headers.host || '';
+    const { origin } = req.headers;
+    return req.headers['x-level-editor'] === '1'
+      && /^(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(host)
+      && (!origin || origin === `http://${host}` || origin === `https://${host}`);
+  };
+
+  const written = new Set();
+  return {
+    name: 'level-editor-save',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__editor/levels/', (req, res) => {
+        const id = req.url.replace(/^\//, '');
+        const file = path.join(LEVELS_DIR, id + '.json');
+        if (req.method !== 'POST' || !/^[a-z0-9_]+$/.test(id) || !fs.existsSync(file)) {
+          res.statusCode = 404;
+          res.end();
+          return;
+        }
+        if (!fromEditor(req)) {
+          res.statusCode = 403;
+          res.end();
+          return;
+        }
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          try {
+            JSON.parse(body);
+          } catch (e) {
+            res.statusCode = 400;
+            res.end(e.message);
+            return;
+          }
+          written.add(file);
+          fs.writeFileSync(file, body);
+          res.end();
+        });
+      });
+    },
+    handleHotUpdate({ file }) {
+      if (written.delete(path.resolve(file))) return [];
+    }
+  };
+}
 
 export default defineConfig({
+  plugins: [levelEditorSave()],
   server: {
     port: 3000,
     open: true